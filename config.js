@@ -4,15 +4,93 @@ module.exports = {
   BUNNY_API_KEY: process.env.BUNNY_API_KEY,
   BUNNY_STORAGE_ZONE: process.env.BUNNY_STORAGE_ZONE,
   BUNNY_REGION_BASE: process.env.BUNNY_REGION_BASE || 'https://ny.storage.bunnycdn.com',
+  // Comma-separated pull zone hostnames (e.g. myzone.b-cdn.net,cdn.example.com) whose links rewrite-urls.js replaces
+  BUNNY_CDN_HOSTS: process.env.BUNNY_CDN_HOSTS || null,
 
   SUPABASE_URL: process.env.SUPABASE_URL,
   SUPABASE_KEY: process.env.SUPABASE_KEY,
   SUPABASE_BUCKET: process.env.SUPABASE_BUCKET || 'mammoth-storage',
 
+  // Storage adapters: bunny | supabase | s3 | local (see lib/adapters)
+  SOURCE_ADAPTER: process.env.SOURCE_ADAPTER || 'bunny',
+  DEST_ADAPTER: process.env.DEST_ADAPTER || 'supabase',
+
+  // JSON include/exclude/size/mime/rewrite rules (see lib/rules.js); unset = migrate everything as-is
+  RULES_FILE: process.env.RULES_FILE || null,
+
   SMALL_FILE_THRESHOLD_BYTES: Number(process.env.SMALL_FILE_THRESHOLD_BYTES || 25 * 1024 * 1024),
+  // Files above the threshold go through TUS when the destination supports it.
+  // Supabase requires 6 MB chunks on its resumable endpoint.
+  RESUMABLE_UPLOADS: process.env.RESUMABLE_UPLOADS !== 'false',
+  TUS_ENDPOINT: process.env.TUS_ENDPOINT || null,
+  TUS_CHUNK_SIZE: Number(process.env.TUS_CHUNK_SIZE || 6 * 1024 * 1024),
+  // overwrite | skip-if-identical | skip-if-exists | fail
+  CONFLICT_POLICY: process.env.CONFLICT_POLICY || 'overwrite',
   CONCURRENCY: Number(process.env.CONCURRENCY || 5),
   MAX_RETRIES: Number(process.env.MAX_RETRIES || 3),
+  // 429/503 responses are retried this many times (see lib/errors.js for the other categories)
+  RATE_LIMIT_MAX_ATTEMPTS: Number(process.env.RATE_LIMIT_MAX_ATTEMPTS || 10),
   BATCH_SIZE: Number(process.env.BATCH_SIZE || 1000),
+  // Only discover/migrate/verify paths under this prefix (e.g. /videos/); unset = everything
+  PATH_PREFIX: process.env.PATH_PREFIX || null,
+  // Job scope as JSON (see lib/scope.js), e.g. {"glob":"/media/**/*.mp4"}; unset = everything
+  JOB_SCOPE: process.env.JOB_SCOPE || null,
+  // Files of a job with priority > 0 are claimed ahead of the rest (higher first)
+  JOB_PRIORITY: Number(process.env.JOB_PRIORITY || 0),
+  // Set by control.js on the worker processes it launches (migration_runs.id)
+  RUN_ID: process.env.MIGRATION_RUN_ID || null,
+  // Directories one discover process lists at the same time
+  DISCOVER_CONCURRENCY: Number(process.env.DISCOVER_CONCURRENCY || 4),
+  DISCOVER_INSERT_BATCH: Number(process.env.DISCOVER_INSERT_BATCH || 500),
+  VERIFY_BATCH_SIZE: Number(process.env.VERIFY_BATCH_SIZE || 500),
+  VERIFY_CHECKSUMS: process.env.VERIFY_CHECKSUMS !== 'false',
+  RESYNC_DELETE_REMOVED: process.env.RESYNC_DELETE_REMOVED === 'true',
+  // Shared rate limits are set in migration_throttle; these only tune the client side.
+  THROTTLE_REFRESH_MS: Number(process.env.THROTTLE_REFRESH_MS || 5000),
+  THROTTLE_CHUNK_BYTES: Number(process.env.THROTTLE_CHUNK_BYTES || 1024 * 1024),
+  PLAN_DIR: process.env.PLAN_DIR || 'plans',
+  // Overrides the destination bucket's own file_size_limit in dry-run plans
+  MAX_OBJECT_BYTES: Number(process.env.MAX_OBJECT_BYTES || 0) || null,
+  // Control API: on | off (off = no auth, local development only)
+  CONTROL_AUTH: process.env.CONTROL_AUTH || 'on',
+  // name:role:token[,name:role:token...]; role is viewer | operator
+  CONTROL_API_KEYS: process.env.CONTROL_API_KEYS || '',
+  // Role for Supabase Auth users without app_metadata.migration_role; unset = no access
+  CONTROL_JWT_DEFAULT_ROLE: process.env.CONTROL_JWT_DEFAULT_ROLE || null,
+  // Comma-separated allowed origins for the dashboard; unset = any origin
+  CONTROL_CORS_ORIGINS: process.env.CONTROL_CORS_ORIGINS || null,
+  // Worker registry (migration_workers): heartbeat interval, and silence after which control.js reports a worker stale
+  WORKER_HEARTBEAT_MS: Number(process.env.WORKER_HEARTBEAT_MS || 15000),
+  WORKER_STALE_SECONDS: Number(process.env.WORKER_STALE_SECONDS || 60),
+  // Port for a worker's own Prometheus /metrics; unset = not served
+  METRICS_PORT: Number(process.env.METRICS_PORT || 0) || null,
+  // Live dashboard feed (/events): poll interval when Realtime is unavailable, log batching
+  LIVE_FALLBACK_POLL_MS: Number(process.env.LIVE_FALLBACK_POLL_MS || 5000),
+  LIVE_FLUSH_MS: Number(process.env.LIVE_FLUSH_MS || 1000),
   TEMP_DIR: process.env.TEMP_DIR || '.tmp',
-  LOG_FILE: process.env.LOG_FILE || 'migration.log'
+  LOG_FILE: process.env.LOG_FILE || 'migration.log',
+  // debug | info | warn | error
+  LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+  // Console format (text | json); LOG_FILE is always JSON lines
+  LOG_FORMAT: process.env.LOG_FORMAT || 'text',
+  LOG_MAX_BYTES: Number(process.env.LOG_MAX_BYTES || 50 * 1024 * 1024),
+  LOG_MAX_FILES: Number(process.env.LOG_MAX_FILES || 5),
+  // Notifications: generic JSON webhook and/or Slack incoming webhook; unset = not sent
+  WEBHOOK_URL: process.env.WEBHOOK_URL || null,
+  SLACK_WEBHOOK_URL: process.env.SLACK_WEBHOOK_URL || null,
+  // Comma-separated events to send (e.g. "job.completed,job.failed"); unset = all
+  WEBHOOK_EVENTS: process.env.WEBHOOK_EVENTS || null,
+  // control.js watchdog: alert when this share of transfers failed in the window (with at least MIN_FILES finished)
+  ALERT_FAILURE_RATE: Number(process.env.ALERT_FAILURE_RATE || 0.2),
+  ALERT_FAILURE_WINDOW_MINUTES: Number(process.env.ALERT_FAILURE_WINDOW_MINUTES || 15),
+  ALERT_FAILURE_MIN_FILES: Number(process.env.ALERT_FAILURE_MIN_FILES || 20),
+  // ...and when a running job's progress has not moved for this long
+  ALERT_STALL_MINUTES: Number(process.env.ALERT_STALL_MINUTES || 30),
+  ALERT_CHECK_MS: Number(process.env.ALERT_CHECK_MS || 60000),
+  // Destination URLs in result manifests: public | signed | none; signed URL lifetime in seconds
+  EXPORT_URL_MODE: process.env.EXPORT_URL_MODE || 'public',
+  EXPORT_SIGNED_URL_TTL: Number(process.env.EXPORT_SIGNED_URL_TTL || 7 * 24 * 3600),
+  // rewrite-urls.js: [schema.]table.column[:key][,...] to scan for Bunny URLs, rows per page
+  REWRITE_TARGETS: process.env.REWRITE_TARGETS || '',
+  REWRITE_BATCH_SIZE: Number(process.env.REWRITE_BATCH_SIZE || 500)
 };
\ No newline at end of file
@@ -1,27 +1,155 @@
 // control.js
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const { supabase } = require('./lib/clients');
+const { logger, setLogContext } = require('./lib/log');
+const { authenticate, requireRole, roleByMethod, auditMutations } = require('./lib/auth');
+const live = require('./lib/live');
+const { CATEGORIES } = require('./lib/errors');
+const { tableRegistry } = require('./lib/metrics');
+const { notify, notifyJobStatus, reapStaleJobs, startWatchdog } = require('./lib/notify');
+const { checkOptions, writeManifest } = require('./lib/manifest');
+const runs = require('./lib/runs');
+const { parseCron } = require('./lib/cron');
+const { PLAN_DIR, CONTROL_AUTH, CONTROL_CORS_ORIGINS, WORKER_STALE_SECONDS } = require('./config');
 
 const app = express();
-app.use(cors());
+app.use(cors(CONTROL_CORS_ORIGINS ? { origin: CONTROL_CORS_ORIGINS.split(',').map(s => s.trim()) } : {}));
 app.use(express.json());
 
-// Health
+// Health (unauthenticated, for load balancers)
 app.get('/health', (_req, res) => res.json({ ok: true }));
 
+// Everything below needs a token: viewer for GET, operator for the rest.
+app.use(authenticate, roleByMethod, auditMutations);
+
+// --- Prometheus (table gauges; scrape with a viewer key as bearer token) ---
+const metricsRegistry = tableRegistry();
+app.get('/metrics', async (_req, res) => {
+  res.type(metricsRegistry.contentType).send(await metricsRegistry.metrics());
+});
+
+// --- Who am I (dashboard login) ---
+app.get('/whoami', (req, res) => res.json({ name: req.user.name, role: req.user.role }));
+
+// --- Audit trail of state-changing requests ---
+app.get('/audit', requireRole('operator'), async (req, res) => {
+  const limit = Math.max(1, Math.min(1000, Number(req.query.limit || 100)));
+  let q = supabase
+    .from('control_audit')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (req.query.actor) q = q.eq('actor', req.query.actor);
+  const { data, error } = await q;
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
 // --- Job controls ---
+// Workers exit quietly on a job stopped here, so job.stopped is sent from here.
 app.post('/jobs/:id/status', async (req, res) => {
   const { id } = req.params;
   const { status } = req.body; // running | paused | stopped
   if (!['running', 'paused', 'stopped'].includes(status)) {
     return res.status(400).json({ error: 'Invalid status' });
   }
-  const { error } = await supabase
+  const { data, error } = await supabase
     .from('migration_jobs')
     .update({ status, updated_at: new Date().toISOString() })
-    .eq('id', id);
+    .eq('id', id)
+    .neq('status', status)
+    .select('id,kind,status,mode,host');
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ ok: true });
+  if (data && data.length) await notifyJobStatus(data[0], status, `${data[0].kind} job ${status} by ${req.user.name}`);
+});
+
+// --- Launch runs (worker processes supervised by this control.js) ---
+// GET /runs?kind=migrate&status=running&limit=50
+app.get('/runs', async (req, res) => {
+  const limit = Math.max(1, Math.min(200, Number(req.query.limit || 50)));
+  let q = supabase.from('migration_runs').select('*').order('started_at', { ascending: false }).limit(limit);
+  if (req.query.kind) q = q.eq('kind', req.query.kind);
+  if (req.query.status) q = q.eq('status', req.query.status);
+  const { data, error } = await q;
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// POST /runs { kind, concurrency, batch_size, prefix, processes, resync, scope, priority }
+// scope: { prefix, glob, ids, filter_id | filter_name, retry_failed } (see lib/scope.js)
+app.post('/runs', async (req, res) => {
+  const { kind, ...params } = req.body || {};
+  const invalid = runs.checkRun(kind, params);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    res.status(201).json(await runs.launch(kind, params, { requestedBy: req.user.name }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/runs/:id/stop', (req, res) => {
+  if (!runs.stopRun(req.params.id)) return res.status(404).json({ error: 'Run is not active on this control API' });
+  res.json({ ok: true });
+});
+
+// --- Schedules (cron, in this server's local time) ---
+app.get('/schedules', async (_req, res) => {
+  const { data, error } = await supabase.from('migration_schedules').select('*').order('name');
   if (error) return res.status(500).json({ error: error.message });
+  res.json(data.map(runs.withNextRun));
+});
+
+function checkSchedule(body, { partial = false } = {}) {
+  if (!partial || 'cron' in body) {
+    try { parseCron(body.cron); } catch (e) { return e.message; }
+  }
+  if (!partial && !body.name) return 'name required';
+  if (!partial || 'kind' in body || 'params' in body) return runs.checkRun(body.kind, body.params || {});
+  return null;
+}
+
+// POST /schedules { name, kind, cron, params: { concurrency, batch_size, prefix, processes, resync }, enabled }
+app.post('/schedules', async (req, res) => {
+  const body = req.body || {};
+  const invalid = checkSchedule(body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const { data, error } = await supabase
+    .from('migration_schedules')
+    .insert({ name: body.name, kind: body.kind, cron: body.cron, params: body.params || {}, enabled: body.enabled !== false })
+    .select()
+    .single();
+  if (error) return res.status(500).json({ error: error.message });
+  res.status(201).json(runs.withNextRun(data));
+});
+
+// POST /schedules/:id { name?, kind + params?, cron?, enabled? }
+app.post('/schedules/:id', async (req, res) => {
+  const body = req.body || {};
+  const invalid = checkSchedule(body, { partial: true });
+  if (invalid) return res.status(400).json({ error: invalid });
+  const patch = {};
+  for (const k of ['name', 'kind', 'cron', 'params', 'enabled']) if (k in body) patch[k] = body[k];
+  if (!Object.keys(patch).length) return res.status(400).json({ error: 'Nothing to update' });
+
+  const { data, error } = await supabase
+    .from('migration_schedules')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', req.params.id)
+    .select();
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data.length) return res.status(404).json({ error: 'Unknown schedule' });
+  res.json(runs.withNextRun(data[0]));
+});
+
+app.delete('/schedules/:id', async (req, res) => {
+  const { data, error } = await supabase.from('migration_schedules').delete().eq('id', req.params.id).select('id');
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data.length) return res.status(404).json({ error: 'Unknown schedule' });
   res.json({ ok: true });
 });
 
@@ -64,6 +192,79 @@ app.get('/jobs', async (req, res) => {
   res.json(data);
 });
 
+// --- Live feed (Server-Sent Events): progress, logs, job, worker and run changes ---
+// GET /events?jobId=...  (EventSource cannot set headers: pass access_token)
+app.get('/events', async (req, res) => {
+  const { jobId } = req.query;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const unsubscribe = live.subscribe({ jobId }, send);
+  const ping = setInterval(() => res.write(': ping\n\n'), 15_000);
+  req.on('close', () => {
+    clearInterval(ping);
+    unsubscribe();
+  });
+
+  // Current state first, so the client does not need a separate fetch.
+  if (jobId) {
+    const { data } = await supabase.from('migration_progress').select('*').eq('job_id', jobId).maybeSingle();
+    if (data) send('progress', { progress: data, delta: null });
+  }
+});
+
+// --- Charts: throughput, transfer times, ETA ---
+// GET /stats?jobId=...&hours=6&bucket=5  (bucket in minutes; no jobId = all jobs)
+const ETA_WINDOW_MINUTES = 15;
+
+app.get('/stats', async (req, res) => {
+  const jobId = req.query.jobId || null;
+  const hours = Math.max(1 / 60, Math.min(24 * 30, Number(req.query.hours || 6)));
+  const bucket = Math.max(1, Math.min(24 * 60, Number(req.query.bucket || 5)));
+  const since = new Date(Date.now() - hours * 3600_000).toISOString();
+  const etaSince = new Date(Date.now() - ETA_WINDOW_MINUTES * 60_000).toISOString();
+
+  const [series, times, remaining, recent] = await Promise.all([
+    supabase.rpc('stats_throughput', { _job_id: jobId, _since: since, _bucket_minutes: bucket }),
+    supabase.rpc('stats_transfer_times', { _job_id: jobId, _since: since }),
+    supabase.rpc('stats_remaining'),
+    // ETA uses every job's recent rate: all workers drain the same backlog.
+    supabase.rpc('stats_throughput', { _job_id: null, _since: etaSince, _bucket_minutes: ETA_WINDOW_MINUTES })
+  ]);
+  const failed = [series, times, remaining, recent].find(r => r.error);
+  if (failed) return res.status(500).json({ error: failed.error.message });
+
+  const left = remaining.data?.[0] || { files: 0, bytes: 0 };
+  const recentBytes = (recent.data || []).reduce((n, r) => n + Number(r.bytes), 0);
+  const bytesPerSec = recentBytes / (ETA_WINDOW_MINUTES * 60);
+  const etaSeconds = bytesPerSec > 0 ? Math.round(Number(left.bytes) / bytesPerSec) : null;
+
+  res.json({
+    bucket_minutes: bucket,
+    series: (series.data || []).map(r => {
+      const done = Number(r.files) + Number(r.failed);
+      return {
+        bucket: r.bucket,
+        files_per_min: Number(r.files) / bucket,
+        bytes_per_min: Number(r.bytes) / bucket,
+        failed: Number(r.failed),
+        skipped: Number(r.skipped),
+        failure_rate: done ? Number(r.failed) / done : 0
+      };
+    }),
+    transfer_times: times.data || [],
+    remaining: { files: Number(left.files), bytes: Number(left.bytes) },
+    rate: { bytes_per_sec: bytesPerSec, window_minutes: ETA_WINDOW_MINUTES },
+    eta: etaSeconds === null ? null : { seconds: etaSeconds, finish_at: new Date(Date.now() + etaSeconds * 1000).toISOString() }
+  });
+});
+
 // --- Recent logs for a job ---
 app.get('/logs', async (req, res) => {
   const { jobId, status } = req.query;
@@ -86,17 +287,18 @@ app.get('/logs', async (req, res) => {
 
 // --- Files (filter/search) ---
 app.get('/files', async (req, res) => {
-  const { status, q: search } = req.query;
+  const { status, category, q: search } = req.query;
   const limit = Math.max(1, Math.min(1000, Number(req.query.limit || 100)));
 
   let query = supabase
     .from('bunny_file_map')
-    .select('id,path,size,status,updated_at')
+    .select('id,path,dest_path,size,status,error_category,verify_error,updated_at')
     .eq('is_dir', false)
     .order('updated_at', { ascending: false })
     .limit(limit);
 
   if (status) query = query.eq('status', status);
+  if (category) query = query.eq('error_category', category);
   if (search) query = query.ilike('path', `%${search}%`);
 
   const { data, error } = await query;
@@ -104,6 +306,54 @@ app.get('/files', async (req, res) => {
   res.json(data);
 });
 
+// --- Saved file filters (usable as a job scope) ---
+app.get('/filters', async (_req, res) => {
+  const { data, error } = await supabase.from('file_filters').select('*').order('name');
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// POST /filters { name, status, category, q }
+app.post('/filters', async (req, res) => {
+  const { name, status, category, q } = req.body || {};
+  if (!name) return res.status(400).json({ error: 'name required' });
+  const filter = Object.fromEntries(Object.entries({ status, category, q }).filter(([, v]) => v));
+  if (!Object.keys(filter).length) return res.status(400).json({ error: 'A filter needs a status, category or q' });
+  const { data, error } = await supabase
+    .from('file_filters')
+    .upsert({ name, filter, created_by: req.user.name }, { onConflict: 'name' })
+    .select()
+    .single();
+  if (error) return res.status(500).json({ error: error.message });
+  res.status(201).json(data);
+});
+
+app.delete('/filters/:id', async (req, res) => {
+  const { data, error } = await supabase.from('file_filters').delete().eq('id', req.params.id).select('id');
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data.length) return res.status(404).json({ error: 'Unknown filter' });
+  res.json({ ok: true });
+});
+
+// --- Result manifest (same filters as /files) ---
+// GET /export?format=csv|ndjson&url=public|signed|none&status=&category=&q=
+app.get('/export', async (req, res) => {
+  const { format = 'csv', url, status, category, q } = req.query;
+  const invalid = checkOptions({ format, url });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+  res.attachment(`migration-manifest-${new Date().toISOString().slice(0, 10)}.${format}`);
+  try {
+    await writeManifest(res, { format, url, status, category, q });
+    res.end();
+  } catch (e) {
+    // Headers are gone; cut the download short so it is not mistaken for complete.
+    logger.error('export error', { err: e });
+    res.destroy(e);
+  }
+});
+
 // --- Files currently in progress ---
 app.get('/files-inprogress', async (req, res) => {
   const limit = Math.max(1, Math.min(1000, Number(req.query.limit || 100)));
@@ -117,18 +367,37 @@ app.get('/files-inprogress', async (req, res) => {
   res.json(data);
 });
 
+// --- Failed files by error category ---
+app.get('/errors', async (_req, res) => {
+  const { data, error } = await supabase.rpc('error_category_counts');
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
 // --- Bulk retry ---
+// { status } | { ids } | { category[, status] }  (category alone targets failed files)
 app.post('/retry-bulk', async (req, res) => {
-  const { status, ids } = req.body || {};
-  if (!status && !ids) return res.status(400).json({ error: 'Provide status or ids' });
+  const { status, ids, category } = req.body || {};
+  if (!status && !ids && !category) return res.status(400).json({ error: 'Provide status, ids or category' });
+  if (category && !CATEGORIES.includes(category)) {
+    return res.status(400).json({ error: `Invalid category (expected ${CATEGORIES.join(' | ')})` });
+  }
 
-  let q = supabase.from('bunny_file_map').update({ status: 'pending', claimed_at: null, claimed_by: null });
-  if (Array.isArray(ids) && ids.length) q = q.in('id', ids);
-  else if (status) q = q.eq('status', status);
+  let q = supabase
+    .from('bunny_file_map')
+    .update({ status: 'pending', claimed_at: null, claimed_by: null }, { count: 'exact' });
+  if (Array.isArray(ids) && ids.length) {
+    q = q.in('id', ids);
+  } else {
+    if (status || category) q = q.eq('status', status || 'failed');
+    // Failures recorded before categories existed count as unknown.
+    if (category === 'unknown') q = q.or('error_category.eq.unknown,error_category.is.null');
+    else if (category) q = q.eq('error_category', category);
+  }
 
-  const { error } = await q;
+  const { count, error } = await q;
   if (error) return res.status(500).json({ error: error.message });
-  res.json({ ok: true });
+  res.json({ ok: true, retried: count ?? null });
 });
 
 // --- Reclaim stale in-progress claims ---
@@ -149,22 +418,137 @@ app.post('/reclaim-dirs', async (req, res) => {
 });
 
 
-// Mark stale discover jobs failed (e.g., no heartbeat > 2 min)
 // Mark stale discover jobs failed (e.g., no heartbeat > 2 min)
 app.post('/jobs/reap-stale', async (req, res) => {
   const { kind = 'discover', minutes = 2 } = req.body || {};
-  const { data, error } = await supabase.rpc('reap_stale_jobs', { _kind: kind, minutes_threshold: Number(minutes) });
+  try {
+    const data = await reapStaleJobs(kind, Number(minutes));
+    res.json({ reaped: data ?? 0 });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+
+// --- Worker fleet ---
+// GET /workers?kind=migrate&all=1  (default: only workers that have not stopped)
+app.get('/workers', async (req, res) => {
+  let q = supabase.from('migration_workers').select('*').order('started_at', { ascending: false });
+  if (req.query.kind) q = q.eq('kind', req.query.kind);
+  if (!req.query.all) q = q.in('status', ['running', 'draining']);
+  const { data, error } = await q;
   if (error) return res.status(500).json({ error: error.message });
-  res.json({ reaped: data ?? 0 });
+
+  const { data: claims, error: cErr } = await supabase.rpc('worker_claims');
+  if (cErr) return res.status(500).json({ error: cErr.message });
+  const byWorker = new Map((claims || []).map(c => [c.worker_id, c]));
+
+  const now = Date.now();
+  res.json(data.map(w => ({
+    ...w,
+    stale: now - new Date(w.last_heartbeat).getTime() > WORKER_STALE_SECONDS * 1000,
+    claimed_files: Number(byWorker.get(w.id)?.files || 0),
+    claimed_dirs: Number(byWorker.get(w.id)?.dirs || 0)
+  })));
 });
 
+// POST /workers/:id/release: hand a dead worker's claims back to the queues
+app.post('/workers/:id/release', async (req, res) => {
+  const { data, error } = await supabase.rpc('release_worker_claims', { _worker_id: req.params.id });
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ released: data ?? 0 });
+});
+
+// POST /workers/:id/drain | /workers/:id/exit  (picked up on the worker's next heartbeat)
+app.post('/workers/:id/:command', async (req, res) => {
+  const { id, command } = req.params;
+  if (!['drain', 'exit'].includes(command)) return res.status(400).json({ error: 'Invalid command' });
+  const { data, error } = await supabase
+    .from('migration_workers')
+    .update({ requested: command })
+    .eq('id', id)
+    .select();
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data.length) return res.status(404).json({ error: 'Unknown worker' });
+  res.json(data[0]);
+});
+
+// --- Latest dry-run plan (migrate-files.js --dry-run) ---
+app.get('/plan', (_req, res) => {
+  const file = path.resolve(PLAN_DIR, 'latest.json');
+  if (!fs.existsSync(file)) return res.status(404).json({ error: 'No plan yet; run migrate-files.js --dry-run' });
+  res.type('application/json').send(fs.readFileSync(file, 'utf8'));
+});
 
+app.get('/plan.csv', (_req, res) => {
+  const file = path.resolve(PLAN_DIR, 'latest.csv');
+  if (!fs.existsSync(file)) return res.status(404).json({ error: 'No plan yet; run migrate-files.js --dry-run' });
+  res.type('text/csv').attachment('migration-plan.csv');
+  fs.createReadStream(file).pipe(res);
+});
+
+// --- Shared throttle budgets (source / dest) ---
+app.get('/throttle', async (_req, res) => {
+  const { data, error } = await supabase
+    .from('migration_throttle')
+    .select('name,bytes_per_sec,requests_per_sec,backoff_until,updated_at')
+    .order('name');
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+// POST /throttle/:name { bytes_per_sec, requests_per_sec }  (null or 0 = unlimited)
+app.post('/throttle/:name', async (req, res) => {
+  const { name } = req.params;
+  const patch = {};
+  for (const k of ['bytes_per_sec', 'requests_per_sec']) {
+    if (!(k in (req.body || {}))) continue;
+    const v = req.body[k] === null ? null : Number(req.body[k]);
+    if (v !== null && (!Number.isFinite(v) || v < 0)) {
+      return res.status(400).json({ error: `Invalid ${k}` });
+    }
+    patch[k] = v || null;
+  }
+  if (!Object.keys(patch).length) return res.status(400).json({ error: 'Provide bytes_per_sec or requests_per_sec' });
+
+  const { data, error } = await supabase
+    .from('migration_throttle')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('name', name)
+    .select();
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data.length) return res.status(404).json({ error: 'Unknown throttle' });
+  res.json(data[0]);
+});
+
+// --- Notifications (webhook / Slack) ---
+// POST /notify/test { message }  → per-target delivery results
+app.post('/notify/test', async (req, res) => {
+  const message = (req.body && req.body.message) || `Test notification from ${req.user.name}`;
+  const results = await notify('test', { message });
+  if (!results.length) return res.status(400).json({ error: 'No notification target; set WEBHOOK_URL or SLACK_WEBHOOK_URL' });
+  res.json({ results });
+});
 
 // 404 & errors
 app.use((_req, res) => res.status(404).json({ error: 'Not found' }));
-app.use((err, _req, res, _next) => {
-  console.error('API error:', err);
+app.use((err, req, res, _next) => {
+  logger.error('API error', { err, method: req.method, path: req.path });
   res.status(500).json({ error: err.message || 'Internal error' });
 });
 
-app.listen(4000, () => console.log('Control API running on :4000'));
+setLogContext({ kind: 'control' });
+if (CONTROL_AUTH === 'off') logger.warn('CONTROL_AUTH=off: the control API accepts unauthenticated requests');
+startWatchdog();
+runs.recoverRuns().catch(e => logger.warn('run recovery error', { err: e.message }));
+runs.startScheduler();
+// Launched workers get the chance to release claims and mark their jobs stopped.
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    logger.info(`${signal} received, stopping launched runs`);
+    await runs.stopAll();
+    process.exit(0);
+  });
+}
+app.listen(4000, () => logger.info('Control API running on :4000'));
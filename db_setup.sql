@@ -169,3 +169,902 @@ BEGIN
   WHERE job_id = _job_id;
 END;
 $$;
+
+
+----step 7 (verify)-----------
+
+ALTER TABLE public.migration_jobs DROP CONSTRAINT IF EXISTS migration_jobs_kind_check;
+ALTER TABLE public.migration_jobs
+  ADD CONSTRAINT migration_jobs_kind_check CHECK (kind IN ('discover','migrate','verify'));
+
+-- checksum: SHA-256 hex from the Bunny listing; verify_error: why the last verify pass failed
+ALTER TABLE public.bunny_file_map
+  ADD COLUMN IF NOT EXISTS checksum TEXT,
+  ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS verify_error TEXT;
+
+-- status now also takes 'verify_failed' (set by verify-files.js)
+
+
+----step 8 (resync)-----------
+
+-- 'full' crawls insert-only; 'resync' compares listings with stored rows
+ALTER TABLE public.migration_jobs
+  ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'full' CHECK (mode IN ('full','resync'));
+
+ALTER TABLE public.bunny_file_map
+  ADD COLUMN IF NOT EXISTS last_changed TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_bfm_parent_path  ON public.bunny_file_map(parent_path);
+
+-- status now also takes 'deleted_at_source' (set by discover-files.js --resync)
+
+
+----step 9 (path rules)-----------
+
+-- where the object lands in the destination bucket after RULES_FILE rewrites
+ALTER TABLE public.bunny_file_map
+  ADD COLUMN IF NOT EXISTS dest_path TEXT;
+
+-- status now also takes 'excluded' (file no longer matches RULES_FILE at migrate time)
+
+
+----step 10 (resumable uploads)-----------
+
+ALTER TABLE public.bunny_file_map
+  ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS claimed_by TEXT,
+  ADD COLUMN IF NOT EXISTS upload_url TEXT,          -- TUS upload URL of an unfinished large-file upload
+  ADD COLUMN IF NOT EXISTS upload_offset BIGINT,     -- last offset the server confirmed
+  ADD COLUMN IF NOT EXISTS upload_updated_at TIMESTAMPTZ;
+
+-- Stale claims go back to pending. upload_url / upload_offset are kept on
+-- purpose so whichever worker claims the file next resumes the TUS upload.
+DROP FUNCTION IF EXISTS public.reclaim_inprogress_to_pending(INT);
+CREATE FUNCTION public.reclaim_inprogress_to_pending(minutes_threshold INT)
+RETURNS INT
+LANGUAGE plpgsql AS $$
+DECLARE
+  n INT;
+BEGIN
+  UPDATE public.bunny_file_map
+  SET status = 'pending',
+      claimed_at = NULL,
+      claimed_by = NULL
+  WHERE status = 'in_progress'
+    AND claimed_at < now() - make_interval(mins => minutes_threshold);
+  GET DIAGNOSTICS n = ROW_COUNT;
+  RETURN n;
+END;
+$$;
+
+
+----step 11 (shared throttle)-----------
+
+-- One token bucket per side. NULL rate = unlimited. Tokens may go negative:
+-- that is a reservation, and the caller is told how long to wait for it.
+CREATE TABLE IF NOT EXISTS public.migration_throttle (
+  name TEXT PRIMARY KEY CHECK (name IN ('source','dest')),
+  bytes_per_sec BIGINT,
+  requests_per_sec NUMERIC,
+  byte_tokens DOUBLE PRECISION NOT NULL DEFAULT 0,
+  request_tokens DOUBLE PRECISION NOT NULL DEFAULT 0,
+  refilled_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  backoff_until TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.migration_throttle (name) VALUES ('source'), ('dest')
+ON CONFLICT (name) DO NOTHING;
+
+-- Returns milliseconds the caller must sleep before using what it asked for.
+CREATE OR REPLACE FUNCTION public.acquire_throttle(_name TEXT, _bytes BIGINT, _requests INT)
+RETURNS INT
+LANGUAGE plpgsql AS $$
+DECLARE
+  t public.migration_throttle%ROWTYPE;
+  elapsed DOUBLE PRECISION;
+  wait_ms DOUBLE PRECISION := 0;
+BEGIN
+  SELECT * INTO t FROM public.migration_throttle WHERE name = _name FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN 0;
+  END IF;
+
+  elapsed := EXTRACT(EPOCH FROM (clock_timestamp() - t.refilled_at));
+
+  -- Bucket capacity is one second of budget.
+  IF t.bytes_per_sec > 0 THEN
+    t.byte_tokens := LEAST(t.bytes_per_sec, t.byte_tokens + elapsed * t.bytes_per_sec) - COALESCE(_bytes, 0);
+    IF t.byte_tokens < 0 THEN
+      wait_ms := GREATEST(wait_ms, -t.byte_tokens / t.bytes_per_sec * 1000);
+    END IF;
+  END IF;
+
+  IF t.requests_per_sec > 0 THEN
+    t.request_tokens := LEAST(t.requests_per_sec, t.request_tokens + elapsed * t.requests_per_sec) - COALESCE(_requests, 0);
+    IF t.request_tokens < 0 THEN
+      wait_ms := GREATEST(wait_ms, -t.request_tokens / t.requests_per_sec * 1000);
+    END IF;
+  END IF;
+
+  IF t.backoff_until > clock_timestamp() THEN
+    wait_ms := GREATEST(wait_ms, EXTRACT(EPOCH FROM (t.backoff_until - clock_timestamp())) * 1000);
+  END IF;
+
+  UPDATE public.migration_throttle
+  SET byte_tokens = t.byte_tokens,
+      request_tokens = t.request_tokens,
+      refilled_at = clock_timestamp()
+  WHERE name = _name;
+
+  RETURN CEIL(wait_ms)::INT;
+END;
+$$;
+
+-- Coordinated back-off after a 429/503: nobody on this side sends until it passes.
+CREATE OR REPLACE FUNCTION public.throttle_backoff(_name TEXT, _seconds NUMERIC)
+RETURNS void
+LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE public.migration_throttle
+  SET backoff_until = GREATEST(COALESCE(backoff_until, now()), now() + make_interval(secs => _seconds))
+  WHERE name = _name;
+END;
+$$;
+
+
+----step 12 (dry-run plan)-----------
+
+-- bytes moved per attempt; feeds throughput estimates
+ALTER TABLE public.migration_logs
+  ADD COLUMN IF NOT EXISTS bytes BIGINT;
+
+
+----step 13 (conflict policy)-----------
+
+ALTER TABLE public.migration_logs DROP CONSTRAINT IF EXISTS migration_logs_status_check;
+ALTER TABLE public.migration_logs
+  ADD CONSTRAINT migration_logs_status_check CHECK (status IN ('pending','success','failed','skipped'));
+
+ALTER TABLE public.migration_progress
+  ADD COLUMN IF NOT EXISTS skipped_files BIGINT NOT NULL DEFAULT 0;
+
+-- status now also takes 'skipped' (CONFLICT_POLICY left the destination object alone)
+
+-- Same as step 6 plus skipped files. Dropped first: adding a parameter
+-- would otherwise create an overload and make RPC calls ambiguous.
+DROP FUNCTION IF EXISTS public.increment_progress(uuid, bigint, bigint, bigint, bigint, bigint);
+CREATE FUNCTION public.increment_progress(
+  _job_id uuid,
+  _total_bytes_delta bigint,
+  _total_files_delta bigint,
+  _scanned_dirs_delta bigint,
+  _migrated_files_delta bigint,
+  _failed_files_delta bigint,
+  _skipped_files_delta bigint DEFAULT 0
+)
+RETURNS void
+LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE public.migration_progress
+  SET total_bytes    = total_bytes    + COALESCE(_total_bytes_delta, 0),
+      total_files    = total_files    + COALESCE(_total_files_delta, 0),
+      scanned_dirs   = scanned_dirs   + COALESCE(_scanned_dirs_delta, 0),
+      migrated_files = migrated_files + COALESCE(_migrated_files_delta, 0),
+      failed_files   = failed_files   + COALESCE(_failed_files_delta, 0),
+      skipped_files  = skipped_files  + COALESCE(_skipped_files_delta, 0),
+      last_update    = now()
+  WHERE job_id = _job_id;
+END;
+$$;
+
+
+----step 14 (batched discovery writes)-----------
+
+-- One round-trip per chunk of a directory listing: bulk insert (conflicts
+-- ignored), queue sub-dirs, bump progress by the rows that were actually new
+-- and, on the last chunk, mark the directory done.
+CREATE OR REPLACE FUNCTION public.ingest_listing(
+  _job_id uuid,
+  _dir_id uuid,
+  _entries jsonb,
+  _mark_done boolean DEFAULT true
+)
+RETURNS TABLE(inserted_files bigint, inserted_bytes bigint)
+LANGUAGE plpgsql AS $$
+DECLARE
+  f BIGINT := 0;
+  b BIGINT := 0;
+BEGIN
+  WITH ins AS (
+    INSERT INTO public.bunny_file_map
+      (path, is_dir, parent_path, size, mime_type, bunny_url, checksum, last_changed, dest_path, status)
+    SELECT e.path, e.is_dir, e.parent_path, e.size, e.mime_type, e.bunny_url,
+           e.checksum, e.last_changed, e.dest_path, COALESCE(e.status, 'pending')
+    FROM jsonb_to_recordset(COALESCE(_entries, '[]'::jsonb)) AS e(
+      path text, is_dir boolean, parent_path text, size bigint, mime_type text,
+      bunny_url text, checksum text, last_changed timestamptz, dest_path text, status text)
+    ON CONFLICT (path) DO NOTHING
+    RETURNING is_dir, size
+  )
+  SELECT count(*) FILTER (WHERE NOT ins.is_dir),
+         COALESCE(sum(ins.size) FILTER (WHERE NOT ins.is_dir), 0)
+  INTO f, b
+  FROM ins;
+
+  INSERT INTO public.scan_queue (path, parent_path, status)
+  SELECT e.path, e.parent_path, 'queued'
+  FROM jsonb_to_recordset(COALESCE(_entries, '[]'::jsonb)) AS e(path text, is_dir boolean, parent_path text)
+  WHERE e.is_dir
+  ON CONFLICT (path) DO NOTHING;
+
+  PERFORM public.increment_progress(_job_id, b, f, CASE WHEN _mark_done THEN 1 ELSE 0 END, 0, 0);
+
+  IF _mark_done AND _dir_id IS NOT NULL THEN
+    UPDATE public.scan_queue SET status = 'done' WHERE id = _dir_id;
+  END IF;
+
+  RETURN QUERY SELECT f, b;
+END;
+$$;
+
+
+----step 15 (parallel discovery)-----------
+
+ALTER TABLE public.scan_queue
+  ADD COLUMN IF NOT EXISTS claimed_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_scan_queue_status ON public.scan_queue(status);
+
+-- Batch version of claim_next_dir: up to _limit queued dirs for one worker.
+-- SKIP LOCKED keeps concurrent claimers (threads or containers) disjoint.
+CREATE OR REPLACE FUNCTION public.claim_dirs(_limit INT, _worker_id TEXT)
+RETURNS TABLE(id uuid, path text, parent_path text)
+LANGUAGE plpgsql AS $$
+BEGIN
+  RETURN QUERY
+  WITH cte AS (
+    SELECT q.id, q.path, q.parent_path
+    FROM public.scan_queue AS q
+    WHERE q.status = 'queued'
+    ORDER BY q.path
+    FOR UPDATE SKIP LOCKED
+    LIMIT _limit
+  )
+  UPDATE public.scan_queue AS q2
+  SET status = 'claimed',
+      claimed_at = now(),
+      claimed_by = _worker_id
+  FROM cte
+  WHERE q2.id = cte.id
+  RETURNING cte.id, cte.path, cte.parent_path;
+END;
+$$;
+
+-- Claimed dirs whose worker went away go back to the queue.
+DROP FUNCTION IF EXISTS public.reclaim_dirs(INT);
+CREATE FUNCTION public.reclaim_dirs(minutes_threshold INT)
+RETURNS INT
+LANGUAGE plpgsql AS $$
+DECLARE
+  n INT;
+BEGIN
+  UPDATE public.scan_queue
+  SET status = 'queued',
+      claimed_at = NULL,
+      claimed_by = NULL
+  WHERE status = 'claimed'
+    AND claimed_at < now() - make_interval(mins => minutes_threshold);
+  GET DIAGNOSTICS n = ROW_COUNT;
+  RETURN n;
+END;
+$$;
+
+
+----step 16 (control API auth)-----------
+
+-- Who changed what through control.js (written for every non-GET request).
+CREATE TABLE IF NOT EXISTS public.control_audit (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  actor TEXT,                -- API key name or Supabase user email
+  role TEXT,
+  auth_via TEXT,             -- api_key | jwt | none
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  body JSONB,
+  status_code INT,
+  ip TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_control_audit_created ON public.control_audit(created_at DESC);
+
+-- Supabase Auth users get a role via app_metadata, e.g.
+-- UPDATE auth.users SET raw_app_meta_data = raw_app_meta_data || '{"migration_role":"operator"}' WHERE email = '...';
+
+
+----step 17 (live dashboard feed)-----------
+
+-- control.js /events listens to these through Supabase Realtime (it falls
+-- back to polling when they are not in the publication).
+ALTER PUBLICATION supabase_realtime ADD TABLE public.migration_progress, public.migration_logs, public.migration_jobs;
+
+
+----step 18 (worker registry)-----------
+
+-- One row per discover/migrate process, upserted on every heartbeat.
+CREATE TABLE IF NOT EXISTS public.migration_workers (
+  id TEXT PRIMARY KEY,                  -- the process's WORKER_ID (= claimed_by)
+  kind TEXT NOT NULL,                   -- discover | migrate
+  host TEXT,
+  pid INT,
+  job_id UUID REFERENCES public.migration_jobs(id) ON DELETE SET NULL,
+  concurrency INT,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running','draining','drained','stopped','exited')),
+  requested TEXT CHECK (requested IN ('drain','exit')),  -- set by control.js, read by the worker
+  in_flight INT NOT NULL DEFAULT 0,
+  current JSONB,                        -- [{ path, size, started_at }] being worked on
+  files_ok BIGINT NOT NULL DEFAULT 0,
+  files_failed BIGINT NOT NULL DEFAULT 0,
+  bytes_total BIGINT NOT NULL DEFAULT 0,
+  bytes_per_sec BIGINT NOT NULL DEFAULT 0,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_heartbeat TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bfm_claimed_by ON public.bunny_file_map(claimed_by) WHERE claimed_by IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_scan_queue_claimed_by ON public.scan_queue(claimed_by) WHERE claimed_by IS NOT NULL;
+
+-- Claims currently held per worker.
+CREATE OR REPLACE FUNCTION public.worker_claims()
+RETURNS TABLE(worker_id text, files bigint, dirs bigint)
+LANGUAGE sql STABLE AS $$
+  SELECT c.worker_id, sum(c.files)::bigint, sum(c.dirs)::bigint
+  FROM (
+    SELECT b.claimed_by AS worker_id, count(*) AS files, 0::bigint AS dirs
+    FROM public.bunny_file_map b
+    WHERE b.status = 'in_progress' AND b.claimed_by IS NOT NULL
+    GROUP BY b.claimed_by
+    UNION ALL
+    SELECT q.claimed_by, 0, count(*)
+    FROM public.scan_queue q
+    WHERE q.status = 'claimed' AND q.claimed_by IS NOT NULL
+    GROUP BY q.claimed_by
+  ) c
+  GROUP BY c.worker_id;
+$$;
+
+-- Give back everything one worker holds (e.g. a container that was killed).
+-- Upload state is kept so the next claimer resumes.
+CREATE OR REPLACE FUNCTION public.release_worker_claims(_worker_id TEXT)
+RETURNS INT
+LANGUAGE plpgsql AS $$
+DECLARE
+  f INT;
+  d INT;
+BEGIN
+  UPDATE public.bunny_file_map
+  SET status = 'pending', claimed_at = NULL, claimed_by = NULL
+  WHERE claimed_by = _worker_id AND status = 'in_progress';
+  GET DIAGNOSTICS f = ROW_COUNT;
+
+  UPDATE public.scan_queue
+  SET status = 'queued', claimed_at = NULL, claimed_by = NULL
+  WHERE claimed_by = _worker_id AND status = 'claimed';
+  GET DIAGNOSTICS d = ROW_COUNT;
+
+  RETURN f + d;
+END;
+$$;
+
+ALTER PUBLICATION supabase_realtime ADD TABLE public.migration_workers;
+
+
+----step 19 (dashboard stats)-----------
+
+CREATE INDEX IF NOT EXISTS idx_logs_upload_time ON public.migration_logs(upload_time);
+
+-- Files/bytes per time bucket (failures and skips counted separately).
+-- _job_id NULL = all jobs.
+CREATE OR REPLACE FUNCTION public.stats_throughput(_job_id uuid, _since timestamptz, _bucket_minutes int DEFAULT 5)
+RETURNS TABLE(bucket timestamptz, files bigint, bytes bigint, failed bigint, skipped bigint)
+LANGUAGE sql STABLE AS $$
+  SELECT to_timestamp(floor(extract(epoch FROM l.upload_time) / (_bucket_minutes * 60)) * (_bucket_minutes * 60)) AS bucket,
+         count(*) FILTER (WHERE l.status = 'success'),
+         COALESCE(sum(COALESCE(l.bytes, b.size)) FILTER (WHERE l.status = 'success'), 0)::bigint,
+         count(*) FILTER (WHERE l.status = 'failed'),
+         count(*) FILTER (WHERE l.status = 'skipped')
+  FROM public.migration_logs l
+  LEFT JOIN public.bunny_file_map b ON b.id = l.file_id
+  WHERE l.upload_time >= _since
+    AND (_job_id IS NULL OR l.job_id = _job_id)
+  GROUP BY 1
+  ORDER BY 1;
+$$;
+
+-- Transfer time percentiles of successful uploads by file size.
+CREATE OR REPLACE FUNCTION public.stats_transfer_times(_job_id uuid, _since timestamptz)
+RETURNS TABLE(size_bucket text, bucket_order int, files bigint, p50_ms double precision, p95_ms double precision)
+LANGUAGE sql STABLE AS $$
+  WITH s AS (
+    SELECT l.time_taken, COALESCE(l.bytes, b.size, 0) AS size
+    FROM public.migration_logs l
+    LEFT JOIN public.bunny_file_map b ON b.id = l.file_id
+    WHERE l.status = 'success'
+      AND l.time_taken IS NOT NULL
+      AND l.upload_time >= _since
+      AND (_job_id IS NULL OR l.job_id = _job_id)
+  ), bucketed AS (
+    SELECT time_taken,
+           CASE WHEN size < 1048576 THEN 0
+                WHEN size < 10485760 THEN 1
+                WHEN size < 104857600 THEN 2
+                WHEN size < 1073741824 THEN 3
+                ELSE 4 END AS o
+    FROM s
+  )
+  SELECT (ARRAY['< 1 MB','1–10 MB','10–100 MB','100 MB–1 GB','> 1 GB'])[o + 1],
+         o,
+         count(*),
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY time_taken),
+         percentile_cont(0.95) WITHIN GROUP (ORDER BY time_taken)
+  FROM bucketed
+  GROUP BY o
+  ORDER BY o;
+$$;
+
+-- What is still left to move (pending, claimed or awaiting retry).
+CREATE OR REPLACE FUNCTION public.stats_remaining()
+RETURNS TABLE(files bigint, bytes bigint)
+LANGUAGE sql STABLE AS $$
+  SELECT count(*), COALESCE(sum(size), 0)::bigint
+  FROM public.bunny_file_map
+  WHERE is_dir = false AND status IN ('pending', 'in_progress');
+$$;
+
+
+----step 20 (error categories)-----------
+
+-- source_not_found | too_large | auth | rate_limited | network | invalid_key | conflict | integrity | unknown
+-- (see lib/errors.js for the retry policy of each)
+ALTER TABLE public.bunny_file_map
+  ADD COLUMN IF NOT EXISTS error_category TEXT;
+
+ALTER TABLE public.migration_logs
+  ADD COLUMN IF NOT EXISTS error_category TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bfm_status_category ON public.bunny_file_map(status, error_category);
+
+CREATE OR REPLACE FUNCTION public.error_category_counts()
+RETURNS TABLE(error_category text, files bigint, bytes bigint)
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(b.error_category, 'unknown'), count(*), COALESCE(sum(b.size), 0)::bigint
+  FROM public.bunny_file_map b
+  WHERE b.status = 'failed' AND b.is_dir = false
+  GROUP BY 1
+  ORDER BY 2 DESC;
+$$;
+
+
+----step 21 (prometheus gauges)-----------
+
+-- Everything control.js /metrics reports, in one round-trip per scrape.
+CREATE OR REPLACE FUNCTION public.metrics_status_counts(_stale_seconds INT DEFAULT 60)
+RETURNS TABLE(source text, kind text, status text, n bigint)
+LANGUAGE sql STABLE AS $$
+  SELECT 'files', NULL::text, b.status, count(*)
+  FROM public.bunny_file_map b
+  WHERE b.is_dir = false
+  GROUP BY b.status
+  UNION ALL
+  SELECT 'dirs', NULL, q.status, count(*)
+  FROM public.scan_queue q
+  GROUP BY q.status
+  UNION ALL
+  SELECT 'jobs', j.kind, j.status, count(*)
+  FROM public.migration_jobs j
+  GROUP BY j.kind, j.status
+  UNION ALL
+  SELECT 'workers', w.kind, w.status, count(*)
+  FROM public.migration_workers w
+  WHERE w.last_heartbeat > now() - make_interval(secs => _stale_seconds)
+  GROUP BY w.kind, w.status;
+$$;
+
+
+----step 22 (result manifests)-----------
+
+-- One page of the export manifest (export-manifest.js, control.js /export),
+-- keyed by path. Same filters as /files; last_error is the newest failed
+-- attempt's message, else the verify error.
+CREATE OR REPLACE FUNCTION public.export_manifest(
+  _status text DEFAULT NULL,
+  _category text DEFAULT NULL,
+  _search text DEFAULT NULL,
+  _after_path text DEFAULT NULL,
+  _limit int DEFAULT 1000)
+RETURNS TABLE(id uuid, path text, bunny_url text, dest_path text, size bigint, mime_type text,
+              status text, error_category text, last_error text, updated_at timestamptz)
+LANGUAGE sql STABLE AS $$
+  SELECT b.id, b.path, b.bunny_url, b.dest_path, b.size, b.mime_type, b.status, b.error_category,
+         COALESCE(l.error_msg, b.verify_error), b.updated_at
+  FROM public.bunny_file_map b
+  LEFT JOIN LATERAL (
+    SELECT ml.error_msg
+    FROM public.migration_logs ml
+    WHERE ml.file_id = b.id AND ml.status = 'failed'
+    ORDER BY ml.upload_time DESC
+    LIMIT 1
+  ) l ON b.status IN ('failed', 'verify_failed')
+  WHERE b.is_dir = false
+    AND (_status IS NULL OR b.status = _status)
+    AND (_category IS NULL OR b.error_category = _category)
+    AND (_search IS NULL OR b.path ILIKE '%' || _search || '%')
+    AND (_after_path IS NULL OR b.path > _after_path)
+  ORDER BY b.path
+  LIMIT _limit;
+$$;
+
+
+----step 23 (url rewrite)-----------
+
+-- Every value rewrite-urls.js changed, so a run can be reverted. applied_at
+-- stays NULL when the row changed underneath and was left alone.
+CREATE TABLE IF NOT EXISTS public.url_rewrite_log (
+  id BIGSERIAL PRIMARY KEY,
+  run_id UUID NOT NULL,
+  table_name TEXT NOT NULL,
+  column_name TEXT NOT NULL,
+  key_column TEXT NOT NULL,
+  key_value TEXT NOT NULL,
+  old_value TEXT NOT NULL,
+  new_value TEXT NOT NULL,
+  urls INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  applied_at TIMESTAMPTZ,
+  reverted_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_url_rewrite_log_run ON public.url_rewrite_log(run_id);
+
+CREATE OR REPLACE FUNCTION public.url_rewrite_column_type(_table regclass, _column text)
+RETURNS text
+LANGUAGE sql STABLE AS $$
+  SELECT format_type(a.atttypid, a.atttypmod)
+  FROM pg_attribute a
+  WHERE a.attrelid = _table AND a.attname = _column AND a.attnum > 0 AND NOT a.attisdropped;
+$$;
+
+-- One page of rows whose column (text or jsonb, compared as text) matches any
+-- of the ILIKE patterns, keyed by _key.
+CREATE OR REPLACE FUNCTION public.url_rewrite_scan(
+  _table text, _column text, _key text, _patterns text[], _after text DEFAULT NULL, _limit int DEFAULT 500)
+RETURNS TABLE(key_value text, value text)
+LANGUAGE plpgsql STABLE AS $$
+DECLARE
+  rel regclass := _table::regclass;
+  key_type text := public.url_rewrite_column_type(rel, _key);
+BEGIN
+  IF key_type IS NULL OR public.url_rewrite_column_type(rel, _column) IS NULL THEN
+    RAISE EXCEPTION 'Unknown column in %: % / %', _table, _key, _column;
+  END IF;
+  RETURN QUERY EXECUTE format(
+    'SELECT %1$I::text, %2$I::text FROM %3$s
+     WHERE %2$I::text ILIKE ANY($1) AND ($2 IS NULL OR %1$I > $2::%4$s)
+     ORDER BY %1$I LIMIT $3',
+    _key, _column, rel, key_type)
+  USING _patterns, _after, _limit;
+END;
+$$;
+
+-- Sets one value, only if it still reads _old. Returns whether it did.
+CREATE OR REPLACE FUNCTION public.url_rewrite_set(
+  _table text, _column text, _key text, _key_value text, _old text, _new text)
+RETURNS boolean
+LANGUAGE plpgsql AS $$
+DECLARE
+  rel regclass := _table::regclass;
+  n int;
+BEGIN
+  EXECUTE format(
+    'UPDATE %3$s SET %2$I = $3::%5$s WHERE %1$I = $1::%4$s AND %2$I::text = $2',
+    _key, _column, rel, public.url_rewrite_column_type(rel, _key), public.url_rewrite_column_type(rel, _column))
+  USING _key_value, _old, _new;
+  GET DIAGNOSTICS n = ROW_COUNT;
+  RETURN n > 0;
+END;
+$$;
+
+
+----step 24 (runs and schedules)-----------
+
+-- Worker processes control.js launched (one row per process). The worker's
+-- job points back at it through migration_jobs.run_id.
+CREATE TABLE IF NOT EXISTS public.migration_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind TEXT NOT NULL CHECK (kind IN ('discover','migrate','verify')),
+  params JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running','completed','failed','stopped')),
+  schedule_id UUID,
+  requested_by TEXT,
+  host TEXT,
+  pid INT,
+  exit_code INT,
+  error TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ended_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_migration_runs_started ON public.migration_runs(started_at DESC);
+
+ALTER TABLE public.migration_jobs
+  ADD COLUMN IF NOT EXISTS run_id UUID REFERENCES public.migration_runs(id) ON DELETE SET NULL;
+
+-- Recurring runs; cron is a 5-field expression in control.js's local time.
+CREATE TABLE IF NOT EXISTS public.migration_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('discover','migrate','verify')),
+  params JSONB NOT NULL DEFAULT '{}'::jsonb,
+  cron TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  last_run_at TIMESTAMPTZ,              -- the cron minute last fired (claimed by one control.js)
+  last_run_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.migration_runs DROP CONSTRAINT IF EXISTS migration_runs_schedule_id_fkey;
+ALTER TABLE public.migration_runs
+  ADD CONSTRAINT migration_runs_schedule_id_fkey FOREIGN KEY (schedule_id)
+  REFERENCES public.migration_schedules(id) ON DELETE SET NULL;
+
+ALTER PUBLICATION supabase_realtime ADD TABLE public.migration_runs;
+
+-- PATH_PREFIX: claims optionally limited to one subtree (NULL = everything).
+DROP FUNCTION IF EXISTS public.claim_dirs(INT, TEXT);
+CREATE OR REPLACE FUNCTION public.claim_dirs(_limit INT, _worker_id TEXT, _prefix TEXT DEFAULT NULL)
+RETURNS TABLE(id uuid, path text, parent_path text)
+LANGUAGE plpgsql AS $$
+BEGIN
+  RETURN QUERY
+  WITH cte AS (
+    SELECT q.id, q.path, q.parent_path
+    FROM public.scan_queue AS q
+    WHERE q.status = 'queued'
+      AND (_prefix IS NULL OR starts_with(q.path, _prefix))
+    ORDER BY q.path
+    FOR UPDATE SKIP LOCKED
+    LIMIT _limit
+  )
+  UPDATE public.scan_queue AS q2
+  SET status = 'claimed',
+      claimed_at = now(),
+      claimed_by = _worker_id
+  FROM cte
+  WHERE q2.id = cte.id
+  RETURNING cte.id, cte.path, cte.parent_path;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.claim_files_to_migrate(INT, TEXT);
+CREATE OR REPLACE FUNCTION public.claim_files_to_migrate(batch_size INT, worker_id TEXT, _prefix TEXT DEFAULT NULL)
+RETURNS SETOF public.bunny_file_map
+LANGUAGE plpgsql AS $$
+BEGIN
+  RETURN QUERY
+  WITH cte AS (
+    SELECT b.id
+    FROM public.bunny_file_map b
+    WHERE b.status = 'pending' AND b.is_dir = FALSE
+      AND (_prefix IS NULL OR starts_with(b.path, _prefix))
+    ORDER BY b.path
+    FOR UPDATE SKIP LOCKED
+    LIMIT batch_size
+  )
+  UPDATE public.bunny_file_map b2
+  SET status = 'in_progress',
+      claimed_at = now(),
+      claimed_by = worker_id
+  FROM cte
+  WHERE b2.id = cte.id
+  RETURNING b2.*;
+END;
+$$;
+
+
+----step 25 (scoped jobs and priority)-----------
+
+-- scope: see lib/scope.js. Files of a job with priority > 0 are claimed
+-- ahead of everything else (bunny_file_map.priority, set when it starts).
+ALTER TABLE public.migration_jobs
+  ADD COLUMN IF NOT EXISTS scope JSONB,
+  ADD COLUMN IF NOT EXISTS priority INT NOT NULL DEFAULT 0;
+
+ALTER TABLE public.bunny_file_map
+  ADD COLUMN IF NOT EXISTS priority INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_bfm_claim_order ON public.bunny_file_map(priority DESC, path)
+  WHERE is_dir = false AND status IN ('pending', 'failed');
+
+-- Saved /files filters ({ status, category, q }), usable as a job scope.
+CREATE TABLE IF NOT EXISTS public.file_filters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  filter JSONB NOT NULL,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Whether a file is in a job scope (NULL = everything). regex is the
+-- compiled glob.
+CREATE OR REPLACE FUNCTION public.file_in_scope(b public.bunny_file_map, _scope jsonb)
+RETURNS boolean
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT _scope IS NULL OR (
+        (_scope->>'prefix' IS NULL OR starts_with(b.path, _scope->>'prefix'))
+    AND (_scope->>'regex' IS NULL OR b.path ~ (_scope->>'regex'))
+    AND (_scope->'ids' IS NULL OR _scope->'ids' ? b.id::text)
+    AND (_scope#>>'{filter,status}' IS NULL OR b.status = _scope#>>'{filter,status}')
+    AND (_scope#>>'{filter,category}' IS NULL OR b.error_category = _scope#>>'{filter,category}')
+    AND (_scope#>>'{filter,q}' IS NULL OR b.path ILIKE '%' || (_scope#>>'{filter,q}') || '%')
+  );
+$$;
+
+-- Claims pending files (and failed ones when the scope says retry_failed)
+-- in the job's scope, highest priority first.
+DROP FUNCTION IF EXISTS public.claim_files_to_migrate(INT, TEXT, TEXT);
+CREATE OR REPLACE FUNCTION public.claim_files_to_migrate(batch_size INT, worker_id TEXT, _job_id UUID DEFAULT NULL)
+RETURNS SETOF public.bunny_file_map
+LANGUAGE plpgsql AS $$
+DECLARE
+  s jsonb;
+BEGIN
+  SELECT j.scope INTO s FROM public.migration_jobs j WHERE j.id = _job_id;
+  RETURN QUERY
+  WITH cte AS (
+    SELECT b.id
+    FROM public.bunny_file_map b
+    WHERE b.is_dir = FALSE
+      AND (b.status = 'pending' OR (b.status = 'failed' AND COALESCE((s->>'retry_failed')::boolean, false)))
+      AND public.file_in_scope(b, s)
+    ORDER BY b.priority DESC, b.path
+    FOR UPDATE SKIP LOCKED
+    LIMIT batch_size
+  )
+  UPDATE public.bunny_file_map b2
+  SET status = 'in_progress',
+      claimed_at = now(),
+      claimed_by = worker_id
+  FROM cte
+  WHERE b2.id = cte.id
+  RETURNING b2.*;
+END;
+$$;
+
+-- Raises the claim priority of a job's remaining files to the job's.
+CREATE OR REPLACE FUNCTION public.prioritize_job_files(_job_id UUID)
+RETURNS INT
+LANGUAGE plpgsql AS $$
+DECLARE
+  j public.migration_jobs;
+  n INT;
+BEGIN
+  SELECT * INTO j FROM public.migration_jobs WHERE id = _job_id;
+  IF j.priority IS NULL OR j.priority <= 0 THEN
+    RETURN 0;
+  END IF;
+  UPDATE public.bunny_file_map b
+  SET priority = j.priority
+  WHERE b.is_dir = FALSE
+    AND b.priority < j.priority
+    AND (b.status = 'pending' OR (b.status = 'failed' AND COALESCE((j.scope->>'retry_failed')::boolean, false)))
+    AND public.file_in_scope(b, j.scope);
+  GET DIAGNOSTICS n = ROW_COUNT;
+  RETURN n;
+END;
+$$;
+
+-- Undoes prioritize_job_files once a job has ended (worker, dashboard or
+-- reap_stale_jobs): the files it raised fall back to the highest priority of
+-- any other running or paused job that still covers them, else 0.
+CREATE INDEX IF NOT EXISTS idx_bfm_priority ON public.bunny_file_map(priority) WHERE priority > 0;
+
+CREATE OR REPLACE FUNCTION public.release_job_priority()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE public.bunny_file_map b
+  SET priority = COALESCE((
+    SELECT max(o.priority)
+    FROM public.migration_jobs o
+    WHERE o.id <> NEW.id
+      AND o.kind = 'migrate'
+      AND o.status IN ('running', 'paused')
+      AND o.priority > 0
+      AND public.file_in_scope(b, o.scope)
+  ), 0)
+  WHERE b.is_dir = FALSE
+    AND b.priority = NEW.priority;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_release_job_priority ON public.migration_jobs;
+CREATE TRIGGER trg_release_job_priority
+AFTER UPDATE OF status ON public.migration_jobs
+FOR EACH ROW
+WHEN (NEW.priority > 0
+      AND NEW.status IN ('completed', 'failed', 'stopped')
+      AND OLD.status NOT IN ('completed', 'failed', 'stopped'))
+EXECUTE FUNCTION public.release_job_priority();
+
+
+----step 26 (transfer integrity)-----------
+
+-- SHA-256 (hex) of the bytes migrate-files.js actually read from the source;
+-- an attempt whose size or digest differs from the listing fails as 'integrity'.
+ALTER TABLE public.bunny_file_map
+  ADD COLUMN IF NOT EXISTS sha256 TEXT;
+
+ALTER TABLE public.migration_logs
+  ADD COLUMN IF NOT EXISTS sha256 TEXT;
+
+
+----step 27 (object metadata)-----------
+
+-- The source's id for the object, kept so it can travel as object metadata.
+ALTER TABLE public.bunny_file_map
+  ADD COLUMN IF NOT EXISTS bunny_guid TEXT;
+
+CREATE OR REPLACE FUNCTION public.ingest_listing(
+  _job_id uuid,
+  _dir_id uuid,
+  _entries jsonb,
+  _mark_done boolean DEFAULT true
+)
+RETURNS TABLE(inserted_files bigint, inserted_bytes bigint)
+LANGUAGE plpgsql AS $$
+DECLARE
+  f BIGINT := 0;
+  b BIGINT := 0;
+BEGIN
+  WITH ins AS (
+    INSERT INTO public.bunny_file_map
+      (path, is_dir, parent_path, size, mime_type, bunny_url, bunny_guid, checksum, last_changed, dest_path, status)
+    SELECT e.path, e.is_dir, e.parent_path, e.size, e.mime_type, e.bunny_url, e.bunny_guid,
+           e.checksum, e.last_changed, e.dest_path, COALESCE(e.status, 'pending')
+    FROM jsonb_to_recordset(COALESCE(_entries, '[]'::jsonb)) AS e(
+      path text, is_dir boolean, parent_path text, size bigint, mime_type text,
+      bunny_url text, bunny_guid text, checksum text, last_changed timestamptz, dest_path text, status text)
+    ON CONFLICT (path) DO NOTHING
+    RETURNING is_dir, size
+  )
+  SELECT count(*) FILTER (WHERE NOT ins.is_dir),
+         COALESCE(sum(ins.size) FILTER (WHERE NOT ins.is_dir), 0)
+  INTO f, b
+  FROM ins;
+
+  INSERT INTO public.scan_queue (path, parent_path, status)
+  SELECT e.path, e.parent_path, 'queued'
+  FROM jsonb_to_recordset(COALESCE(_entries, '[]'::jsonb)) AS e(path text, is_dir boolean, parent_path text)
+  WHERE e.is_dir
+  ON CONFLICT (path) DO NOTHING;
+
+  PERFORM public.increment_progress(_job_id, b, f, CASE WHEN _mark_done THEN 1 ELSE 0 END, 0, 0);
+
+  IF _mark_done AND _dir_id IS NOT NULL THEN
+    UPDATE public.scan_queue SET status = 'done' WHERE id = _dir_id;
+  END IF;
+
+  RETURN QUERY SELECT f, b;
+END;
+$$;
+
+
+----step 28 (job end time)-----------
+
+-- Set by the worker whose update ends the job (discover, migrate, verify).
+ALTER TABLE public.migration_jobs
+  ADD COLUMN IF NOT EXISTS ended_at TIMESTAMPTZ;
@@ -3,9 +3,16 @@ require('dotenv').config();
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('./lib/clients');
-const { listDir, absoluteUrl } = require('./lib/bunny');
-const { log } = require('./lib/log');
-const { sleep } = require('./lib/util');
+const { getSource, getDest } = require('./lib/adapters');
+const { log, logger, setLogContext } = require('./lib/log');
+const { sleep, toStoragePath, likePrefix } = require('./lib/util');
+const { jobScope, globRoot, describeScope } = require('./lib/scope');
+const { getRules } = require('./lib/rules');
+const { mimeFromPath } = require('./lib/mime');
+const { registerWorker } = require('./lib/workers');
+const { metrics, startMetricsServer } = require('./lib/metrics');
+const { notifyJobStatus, reapStaleJobs } = require('./lib/notify');
+const { RESYNC_DELETE_REMOVED, DISCOVER_INSERT_BATCH, DISCOVER_CONCURRENCY, RUN_ID } = require('./config');
 
 /**
  * CONFIG
@@ -13,11 +20,35 @@ const { sleep } = require('./lib/util');
 const HEARTBEAT_MS = 15_000;
 const STALE_MINUTES = 2;                
 const WORKER_ID = uuidv4();
+setLogContext({ kind: 'discover', worker_id: WORKER_ID });
 const ALLOW_PARALLEL_DISCOVER = false; 
+const RESYNC = process.argv.includes('--resync');
+const DELETE_REMOVED = process.argv.includes('--delete-removed') || RESYNC_DELETE_REMOVED;
+const MODE = RESYNC ? 'resync' : 'full';
+const PAGE_SIZE = 1000;
+const IDLE_WAIT_MS = 5000;
+const DIR_RECLAIM_MINUTES = 10;         // a single listing never takes this long
+
+let SCOPE = null;
+let SCAN_ROOT = null;     // a scoped crawl covers one subtree; null = everything
 
 let HEARTBEAT_TIMER = null;
 let CURRENT_JOB = null;
 
+// The discover job is shared by every discover container, so a worker told
+// to exit only hands back its own claims and leaves the job running.
+const worker = registerWorker({
+  id: WORKER_ID,
+  kind: 'discover',
+  concurrency: DISCOVER_CONCURRENCY,
+  onExit: async () => {
+    stopHeartbeat();
+    await releaseClaims();
+    await worker.stop('exited');
+    process.exit(0);
+  }
+});
+
 /**
  * HELPERS
  */
@@ -33,19 +64,80 @@ async function insertDir(path, parent_path) {
   }
 }
 
-// Insert-only for bunny_file_map (files & dirs). Ignores duplicates (unique index on path).
-async function insertFileOrDir(entry) {
-  const { error } = await supabase
-    .from('bunny_file_map')
-    .insert(entry)
-    .select();
-  if (error && !(error.code === '23505' || /duplicate|unique/i.test(error.message))) {
-    throw error;
-  }
+// Writes one listing in INSERT_BATCH-sized chunks. Each ingest_listing call
+// inserts with ON CONFLICT DO NOTHING into bunny_file_map (and scan_queue for
+// dirs) and bumps progress by what was actually new; the last call also marks
+// the directory done, all in the same transaction.
+async function ingestListing(dirId, entries) {
+  let files = 0;
+  let bytes = 0;
+  let i = 0;
+  do {
+    const chunk = entries.slice(i, i + DISCOVER_INSERT_BATCH);
+    i += DISCOVER_INSERT_BATCH;
+    const { data, error } = await supabase.rpc('ingest_listing', {
+      _job_id: CURRENT_JOB.id,
+      _dir_id: dirId,
+      _entries: chunk,
+      _mark_done: i >= entries.length
+    });
+    if (error) throw error;
+    const row = (data || [])[0] || {};
+    files += Number(row.inserted_files || 0);
+    bytes += Number(row.inserted_bytes || 0);
+  } while (i < entries.length);
+  return { files, bytes };
 }
 
+// Bunny reports LastChanged without a zone; it is UTC.
+function parseSourceTime(v) {
+  if (!v) return null;
+  return new Date(/Z|[+-]\d\d:?\d\d$/.test(v) ? v : `${v}Z`).toISOString();
+}
+
+// item: one entry of a source adapter listing (see lib/adapters)
+function toEntry(parentPath, item) {
+  const isDir = item.isDir;
+  return {
+    path: item.path,
+    is_dir: isDir,
+    parent_path: parentPath,
+    size: isDir ? null : item.size,
+    mime_type: isDir ? null : (item.contentType || mimeFromPath(item.path)),
+    bunny_url: isDir ? null : getSource().url(item.path),
+    bunny_guid: isDir ? null : item.guid,
+    checksum: isDir ? null : item.checksum,
+    last_changed: isDir ? null : parseSourceTime(item.lastChanged),
+    dest_path: isDir ? null : getRules().destPath(item.path),
+    status: 'pending'
+  };
+}
+
+// Excluded dirs are never recorded or queued, so their subtrees are skipped.
+function isWanted(entry) {
+  return entry.is_dir ? getRules().allowsDir(entry.path) : !getRules().check(entry);
+}
+
+// The deepest directory that holds everything in scope: the prefix's
+// directory and/or the fixed part of the glob.
+function scanRoot(scope) {
+  const roots = [];
+  if (scope?.prefix) roots.push(scope.prefix.replace(/[^/]*$/, ''));
+  if (scope?.glob) roots.push(globRoot(scope.glob));
+  const root = roots.sort((a, b) => b.length - a.length)[0];
+  return root && root !== '/' ? root : null;
+}
+
+// A scoped crawl starts again at its root even if an earlier crawl got there.
 async function ensureRootQueued() {
-  await insertDir('/', null);
+  if (!SCAN_ROOT) return insertDir('/', null);
+  await insertDir(SCAN_ROOT, SCAN_ROOT.replace(/[^/]*\/$/, ''));
+  const { error } = await supabase
+    .from('scan_queue')
+    .update({ status: 'queued', claimed_at: null, claimed_by: null })
+    .eq('path', SCAN_ROOT)
+    .in('status', ['done', 'failed']);
+  if (error) throw error;
 }
 
 // Create a new job row (kind=discover) and ensure progress row exists
@@ -54,7 +146,10 @@ async function createJob(note = '') {
     .from('migration_jobs')
     .insert({
       kind: 'discover',
+      mode: MODE,
       note,
+      run_id: RUN_ID,
+      scope: SCOPE,
       worker_id: WORKER_ID,
       host: os.hostname(),
       status: 'running',
@@ -71,6 +166,7 @@ async function createJob(note = '') {
     throw pErr;
   }
 
+  await notifyJobStatus(data, 'started');
   return data;
 }
 
@@ -84,23 +180,30 @@ async function getJob(jobId) {
   return data;
 }
 
+// Every worker sharing the job gets here; only the one whose update changed
+// the row sends the notification. A job that already ended (stopped from the
+// dashboard, say) keeps its status.
 async function markJob(status) {
   if (!CURRENT_JOB) return;
-  const { error } = await supabase
+  const { data, error } = await supabase
     .from('migration_jobs')
     .update({ status, ended_at: new Date().toISOString() })
-    .eq('id', CURRENT_JOB.id);
+    .eq('id', CURRENT_JOB.id)
+    .in('status', ['running', 'paused'])
+    .select('id');
   if (error) {
     // just log; don't throw on shutdown
-    console.warn('markJob error:', error.message);
+    logger.warn('markJob error', { err: error.message });
+    return;
   }
+  if (data && data.length) await notifyJobStatus(CURRENT_JOB, status);
 }
 
 async function heartbeat() {
   if (!CURRENT_JOB) return;
   const { error } = await supabase.rpc('touch_job', { _job_id: CURRENT_JOB.id });
   if (error) {
-    console.warn('heartbeat error:', error.message);
+    logger.warn('heartbeat error', { err: error.message });
   }
 }
 
@@ -115,13 +218,11 @@ function stopHeartbeat() {
 }
 
 async function reapStale() {
-  const { error } = await supabase.rpc('reap_stale_jobs', {
-    _kind: 'discover',
-    minutes_threshold: STALE_MINUTES
-  });
-  if (error) {
+  try {
+    await reapStaleJobs('discover', STALE_MINUTES);
+  } catch (e) {
     // not fatal
-    console.warn('reapStale error:', error.message);
+    logger.warn('reapStale error', { err: e.message });
   }
 }
 
@@ -130,6 +231,7 @@ async function findHealthyRunningJob() {
     .from('migration_jobs')
     .select('*')
     .eq('kind', 'discover')
+    .eq('mode', MODE)
     .eq('status', 'running')
     .order('created_at', { ascending: false })
     .limit(1);
@@ -144,10 +246,54 @@ async function findHealthyRunningJob() {
   return null;
 }
 
-async function claimNextDir() {
-  const { data, error } = await supabase.rpc('claim_next_dir');
+async function claimDirs(limit) {
+  const { data, error } = await supabase.rpc('claim_dirs', {
+    _limit: limit,
+    _worker_id: WORKER_ID,
+    _prefix: SCAN_ROOT
+  });
+  if (error) throw error;
+  return data || [];
+}
+
+// Discovery is only finished when nothing is queued and no worker (on any
+// host) still holds a claim: a claimed dir may yet enqueue sub-dirs.
+async function discoveryFinished() {
+  let q = supabase
+    .from('scan_queue')
+    .select('id', { count: 'exact', head: true })
+    .in('status', ['queued', 'claimed']);
+  if (SCAN_ROOT) q = q.like('path', likePrefix(SCAN_ROOT));
+  const { count, error } = await q;
   if (error) throw error;
-  return data && data.length ? data[0] : null;
+  return count === 0;
+}
+
+// Claims left behind by a crashed worker would otherwise block completion.
+async function reclaimStaleDirs() {
+  const { error } = await supabase.rpc('reclaim_dirs', { minutes_threshold: DIR_RECLAIM_MINUTES });
+  if (error) logger.warn('reclaim_dirs error', { err: error.message });
+}
+
+// Hand our unfinished claims back to the queue on shutdown.
+async function releaseClaims() {
+  const { error } = await supabase
+    .from('scan_queue')
+    .update({ status: 'queued', claimed_at: null, claimed_by: null })
+    .eq('claimed_by', WORKER_ID)
+    .eq('status', 'claimed');
+  if (error) logger.warn('releaseClaims error', { err: error.message });
+}
+
+// Hands one dir back after its scan blew up past its own error handling.
+async function releaseDir(id) {
+  const { error } = await supabase
+    .from('scan_queue')
+    .update({ status: 'queued', claimed_at: null, claimed_by: null })
+    .eq('id', id)
+    .eq('claimed_by', WORKER_ID)
+    .eq('status', 'claimed');
+  if (error) logger.warn('releaseDir error', { dir_id: id, err: error.message });
 }
 
 async function markDirDone(id, status = 'done') {
@@ -155,18 +301,177 @@ async function markDirDone(id, status = 'done') {
   if (error) throw error;
 }
 
-async function bumpProgress(jobId, delta) {
-  const { error } = await supabase.rpc('increment_progress', {
-    _job_id: jobId,
-    _total_bytes_delta: delta.total_bytes || 0,
-    _total_files_delta: delta.total_files || 0,
-    _scanned_dirs_delta: delta.scanned_dirs || 0,
-    _migrated_files_delta: 0,
-    _failed_files_delta: 0
-  });
+/**
+ * RESYNC
+ */
+
+// A full re-crawl: every finished directory goes back to the queue.
+async function requeueAllDirs() {
+  let q = supabase
+    .from('scan_queue')
+    .update({ status: 'queued', claimed_at: null, claimed_by: null })
+    .in('status', ['done', 'failed']);
+  if (SCAN_ROOT) q = q.like('path', likePrefix(SCAN_ROOT));
+  const { error } = await q;
   if (error) throw error;
 }
 
+async function fetchChildren(parentPath) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('bunny_file_map')
+      .select('id,path,dest_path,is_dir,size,last_changed,checksum,bunny_guid,status')
+      .eq('parent_path', parentPath)
+      .order('path', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+async function fetchDestPathsUnder(dirPath) {
+  const paths = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('bunny_file_map')
+      .select('path,dest_path')
+      .like('path', likePrefix(dirPath))
+      .eq('is_dir', false)
+      .order('path', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    paths.push(...(data || []).map(r => r.dest_path || toStoragePath(r.path)));
+    if (!data || data.length < PAGE_SIZE) return paths;
+  }
+}
+
+function sameTime(a, b) {
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+function hasChanged(row, entry) {
+  if (row.status === 'deleted_at_source') return true;
+  if (Number(row.size) !== Number(entry.size)) return true;
+  if (row.last_changed && entry.last_changed && !sameTime(row.last_changed, entry.last_changed)) return true;
+  if (row.checksum && entry.checksum && row.checksum.toLowerCase() !== entry.checksum.toLowerCase()) return true;
+  return false;
+}
+
+async function updateFile(id, patch) {
+  const { error } = await supabase.from('bunny_file_map').update(patch).eq('id', id);
+  if (error) throw error;
+}
+
+async function markDeleted(row) {
+  const removed = row.is_dir
+    ? await fetchDestPathsUnder(row.path)
+    : [row.dest_path || toStoragePath(row.path)];
+
+  let q = supabase
+    .from('bunny_file_map')
+    .update({ status: 'deleted_at_source', claimed_at: null, claimed_by: null });
+  q = row.is_dir ? q.like('path', likePrefix(row.path)) : q.eq('id', row.id);
+  const { error } = await q;
+  if (error) throw error;
+
+  if (row.is_dir) {
+    const { error: qErr } = await supabase
+      .from('scan_queue')
+      .delete()
+      .like('path', likePrefix(row.path));
+    if (qErr) throw qErr;
+  }
+
+  if (DELETE_REMOVED && removed.length) await getDest().delete(removed);
+  return removed.length;
+}
+
+// Compare one Bunny listing with the stored children of that directory.
+// Changed files go back to pending with their claim and partial upload
+// cleared, even if a worker holds them: its upload may predate the change,
+// and without the claim its result is dropped (see finalizeFile in
+// migrate-files.js). Vanished entries are flagged deleted_at_source.
+async function resyncDir(path, items) {
+  const existing = new Map((await fetchChildren(path)).map(r => [r.path, r]));
+  const result = { toIngest: [], changed: 0, deleted: 0 };
+
+  for (const item of items) {
+    const entry = toEntry(path, item);
+    const row = existing.get(entry.path);
+    existing.delete(entry.path);
+    if (!isWanted(entry)) continue;
+
+    // New rows, and every dir so scan_queue regains any we deleted earlier.
+    if (!row || entry.is_dir) result.toIngest.push(entry);
+
+    if (!row) continue;
+    if (entry.is_dir) {
+      if (row.status === 'deleted_at_source') await updateFile(row.id, { status: 'pending' });
+    } else if (hasChanged(row, entry)) {
+      await updateFile(row.id, {
+        size: entry.size,
+        mime_type: entry.mime_type,
+        bunny_guid: entry.bunny_guid,
+        checksum: entry.checksum,
+        last_changed: entry.last_changed,
+        dest_path: entry.dest_path,
+        status: 'pending',
+        claimed_at: null,
+        claimed_by: null,
+        upload_url: null,
+        upload_offset: null,
+        upload_updated_at: null,
+        sha256: null,
+        verified_at: null,
+        verify_error: null
+      });
+      result.changed += 1;
+    } else if (!row.last_changed || !row.checksum || (!row.bunny_guid && entry.bunny_guid)) {
+      // Backfill rows discovered before these columns existed.
+      await updateFile(row.id, { checksum: entry.checksum, last_changed: entry.last_changed, bunny_guid: entry.bunny_guid });
+    }
+  }
+
+  for (const row of existing.values()) {
+    if (row.status === 'deleted_at_source') continue;
+    result.deleted += await markDeleted(row);
+  }
+
+  return result;
+}
+
+async function scanDir({ id: dirId, path }) {
+  const dlog = logger.child({ dir_id: dirId, dir: path });
+  worker.begin(dirId, { path });
+  try {
+    const items = await getSource().list(path);
+
+    if (RESYNC) {
+      const r = await resyncDir(path, items);
+      const added = await ingestListing(dirId, r.toIngest);
+      dlog.info('Resynced', { new: added.files, changed: r.changed, deleted: r.deleted });
+      worker.end(dirId, { ok: true });
+      metrics.dirs.inc({ result: 'ok' });
+      metrics.discovered.inc(added.files);
+      return;
+    }
+
+    const entries = items.map(item => toEntry(path, item)).filter(isWanted);
+    const added = await ingestListing(dirId, entries);
+    dlog.info('Scanned', { files: added.files, bytes: added.bytes });
+    worker.end(dirId, { ok: true });
+    metrics.dirs.inc({ result: 'ok' });
+    metrics.discovered.inc(added.files);
+  } catch (e) {
+    dlog.error('Scan failed', { err: e.message });
+    worker.end(dirId, { ok: false });
+    metrics.dirs.inc({ result: 'failed' });
+    await markDirDone(dirId, 'failed');
+  }
+}
+
 /**
  * PROCESS SIGNALS
  */
@@ -174,18 +479,23 @@ function hookProcessSignals() {
   process.on('SIGINT', async () => {
     log('SIGINT received');
     stopHeartbeat();
+    await releaseClaims();
+    await worker.stop('stopped');
     await markJob('stopped');
     process.exit(0);
   });
   process.on('SIGTERM', async () => {
     log('SIGTERM received');
     stopHeartbeat();
+    await releaseClaims();
+    await worker.stop('stopped');
     await markJob('stopped');
     process.exit(0);
   });
   process.on('uncaughtException', async (err) => {
-    console.error('Uncaught exception:', err);
+    logger.error('Uncaught exception', { err });
     stopHeartbeat();
+    await releaseClaims();
     await markJob('failed');
     process.exit(1);
   });
@@ -197,93 +507,97 @@ function hookProcessSignals() {
 async function run() {
   hookProcessSignals();
   await reapStale();
+  ({ scope: SCOPE } = await jobScope('discover'));
+  SCAN_ROOT = scanRoot(SCOPE);
   await ensureRootQueued();
 
-  if (!ALLOW_PARALLEL_DISCOVER) {
+  // A scoped crawl never joins an unscoped (or differently scoped) job.
+  if (!ALLOW_PARALLEL_DISCOVER && !SCOPE) {
     const healthy = await findHealthyRunningJob();
     if (healthy) {
       CURRENT_JOB = healthy;
       log(`Reusing running DISCOVER job=${healthy.id}`);
     } else {
-      CURRENT_JOB = await createJob('Concurrent-safe discovery');
+      CURRENT_JOB = await createJob(RESYNC ? 'Incremental re-sync' : 'Concurrent-safe discovery');
+      if (RESYNC) await requeueAllDirs();
     }
   } else {
-    CURRENT_JOB = await createJob('Concurrent-safe discovery (parallel)');
+    CURRENT_JOB = await createJob(SCOPE ? `Scoped discovery (${describeScope(SCOPE)})` : 'Concurrent-safe discovery (parallel)');
+    if (RESYNC) await requeueAllDirs();
   }
 
+  setLogContext({ job_id: CURRENT_JOB.id });
   startHeartbeat();
-  log(`DISCOVER job=${CURRENT_JOB.id} started`);
+  await worker.start(CURRENT_JOB.id);
+  startMetricsServer({ kind: 'discover', workerId: WORKER_ID });
+  log(`DISCOVER job=${CURRENT_JOB.id} worker=${WORKER_ID} mode=${MODE} concurrency=${DISCOVER_CONCURRENCY}${SCOPE ? ` scope=${describeScope(SCOPE)} root=${SCAN_ROOT || '/'}` : ''}${DELETE_REMOVED ? ' (deleting removed objects)' : ''} started`);
+
+  // Up to DISCOVER_CONCURRENCY listings in flight; a new dir is claimed as
+  // soon as one finishes.
+  const inFlight = new Set();
 
   while (true) {
     // keep heartbeat fresh during long loops
     await heartbeat();
 
-    // fetch latest job status
+    // fetch latest job status; in-flight listings are let finish either way
     const fresh = await getJob(CURRENT_JOB.id);
-    if (fresh.status === 'paused') { log('Paused…'); await sleep(2000); continue; }
+    if (fresh.status === 'paused') {
+      await Promise.all(inFlight);
+      log('Paused…');
+      await sleep(2000);
+      continue;
+    }
     if (['stopped', 'failed', 'completed'].includes(fresh.status)) {
+      await Promise.all(inFlight);
       log(`Job is ${fresh.status}. Exit.`);
       break;
     }
 
-    const claim = await claimNextDir();
-    if (!claim) {
+    if (worker.draining()) {
+      await Promise.all(inFlight);
+      log('Drained. Exit.');
+      await worker.stop('drained');
+      stopHeartbeat();
+      return;
+    }
+
+    const free = DISCOVER_CONCURRENCY - inFlight.size;
+    const claims = free > 0 ? await claimDirs(free) : [];
+    // Each scan settles on its own: nothing else awaits it between the
+    // Promise.race calls, so a rejection here would go unhandled.
+    for (const claim of claims) {
+      const p = scanDir(claim)
+        .catch(async (e) => {
+          logger.error('Scan crashed', { dir_id: claim.id, dir: claim.path, err: e.message });
+          await releaseDir(claim.id);
+        })
+        .finally(() => inFlight.delete(p));
+      inFlight.add(p);
+    }
+
+    if (inFlight.size) {
+      await Promise.race(inFlight);
+      continue;
+    }
+
+    if (await discoveryFinished()) {
       log('No more directories to scan. Marking job completed.');
       await markJob('completed');
       break;
     }
 
-    const { id: dirId, path } = claim;
-    try {
-      const items = await listDir(path);
-      let filesDelta = 0;
-      let bytesDelta = 0;
-
-      for (const item of items) {
-        const isDir = !!item.IsDirectory;
-        const itemPath = `${path}${item.ObjectName}${isDir ? '/' : ''}`;
-
-        const entry = {
-          path: itemPath,
-          is_dir: isDir,
-          parent_path: path,
-          size: isDir ? null : item.Length,
-          mime_type: isDir ? null : item.ContentType,
-          bunny_url: isDir ? null : absoluteUrl(itemPath),
-          status: 'pending'
-        };
-
-        // Insert-only; ignore duplicates so we don't mess with statuses
-        await insertFileOrDir(entry);
-
-        if (isDir) {
-          // INSERT ONLY (no upsert) to avoid re-queueing done/claimed dirs
-          await insertDir(itemPath, path);
-        } else {
-          filesDelta += 1;
-          bytesDelta += item.Length || 0;
-        }
-      }
-
-      await bumpProgress(CURRENT_JOB.id, {
-        total_files: filesDelta,
-        total_bytes: bytesDelta,
-        scanned_dirs: 1
-      });
-
-      await markDirDone(dirId, 'done');
-      log(`Scanned ${path} — files:+${filesDelta}, bytes:+${bytesDelta}`);
-    } catch (e) {
-      log(`ERROR scanning ${path}: ${e.message}`);
-      await markDirDone(dirId, 'failed');
-    }
+    // Other workers still hold claims; their listings may queue more dirs.
+    await reclaimStaleDirs();
+    await sleep(IDLE_WAIT_MS);
   }
 
   stopHeartbeat();
+  await worker.stop('stopped');
 }
 
 run().catch(async (e) => {
-  console.error('Fatal:', e);
+  logger.error('Fatal', { err: e });
   stopHeartbeat();
   await markJob('failed');
   process.exit(1);
@@ -0,0 +1,47 @@
+// export-manifest.js
+require('dotenv').config();
+const fs = require('fs');
+const { log, logger, setLogContext } = require('./lib/log');
+const { checkOptions, writeManifest } = require('./lib/manifest');
+
+/**
+ * CONFIG
+ *
+ *   node export-manifest.js [--format csv|ndjson] [--url public|signed|none]
+ *                           [--status migrated] [--category network] [--q /images/]
+ *                           [--out manifest.csv | --out -]
+ */
+const argv = process.argv;
+function arg(name, fallback = null) {
+  const i = argv.indexOf(`--${name}`);
+  return i !== -1 && argv[i + 1] ? argv[i + 1] : fallback;
+}
+
+const FORMAT = arg('format', 'csv');
+const OUT = arg('out', `manifest-${new Date().toISOString().replace(/[:.]/g, '-')}.${FORMAT}`);
+setLogContext({ kind: 'export' });
+
+/**
+ * MAIN
+ */
+async function run() {
+  const options = {
+    format: FORMAT,
+    url: arg('url') || undefined,
+    status: arg('status'),
+    category: arg('category'),
+    q: arg('q')
+  };
+  const invalid = checkOptions(options);
+  if (invalid) throw new Error(invalid);
+
+  // `--out -` streams to stdout, which then carries nothing else.
+  const toStdout = OUT === '-';
+  const out = toStdout ? process.stdout : fs.createWriteStream(OUT);
+  const n = await writeManifest(out, options);
+  if (toStdout) return;
+  await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+  log(`EXPORT ${n} files written to ${OUT}`);
+}
+
+run().catch(e => { logger.error('Fatal', { err: e }); process.exit(1); });
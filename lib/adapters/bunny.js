@@ -0,0 +1,67 @@
+const { BUNNY_API_KEY } = require('../../config');
+const { http } = require('../clients');
+const { listDir, absoluteUrl, download } = require('../bunny');
+
+// Bunny Storage. Paths are zone-absolute: '/dir/' for folders, '/dir/file.ext' for files.
+function createBunnyAdapter() {
+  function toItem(parentPath, raw) {
+    const isDir = !!raw.IsDirectory;
+    return {
+      name: raw.ObjectName,
+      path: `${parentPath}${raw.ObjectName}${isDir ? '/' : ''}`,
+      isDir,
+      size: isDir ? null : raw.Length,
+      contentType: isDir ? null : (raw.ContentType || null),
+      lastChanged: raw.LastChanged || null,
+      checksum: isDir ? null : (raw.Checksum || null),
+      guid: raw.Guid || null
+    };
+  }
+
+  async function list(dirPath = '/') {
+    const items = await listDir(dirPath);
+    return (items || []).map(raw => toItem(dirPath, raw));
+  }
+
+  // Bunny has no metadata-only request; the parent listing carries it.
+  async function stat(path) {
+    const slash = path.lastIndexOf('/');
+    const parent = path.slice(0, slash + 1);
+    const items = await list(parent);
+    const hit = items.find(i => !i.isDir && i.path === path);
+    return hit || null;
+  }
+
+  async function createReadStream(path, { start = 0, end = null } = {}) {
+    const headers = start > 0 || end !== null ? { Range: `bytes=${start}-${end ?? ''}` } : undefined;
+    const resp = await download(path, 'stream', headers);
+    return {
+      stream: resp.data,
+      size: Number(resp.headers['content-length']) || null,
+      contentType: resp.headers['content-type'] || null
+    };
+  }
+
+  async function write(path, body, { contentType } = {}) {
+    await http.put(absoluteUrl(path), body, {
+      headers: {
+        AccessKey: BUNNY_API_KEY,
+        'Content-Type': contentType || 'application/octet-stream'
+      }
+    });
+  }
+
+  async function remove(paths) {
+    for (const path of paths) {
+      try {
+        await http.delete(absoluteUrl(path), { headers: { AccessKey: BUNNY_API_KEY } });
+      } catch (e) {
+        if (e.response?.status !== 404) throw e;
+      }
+    }
+  }
+
+  return { name: 'bunny', list, stat, createReadStream, write, delete: remove, url: absoluteUrl };
+}
+
+module.exports = { createBunnyAdapter };
@@ -0,0 +1,64 @@
+// Storage adapters. Every adapter exposes the same operations:
+//   list(dirPath)                    → [{ name, path, isDir, size, contentType, lastChanged, checksum, guid }]
+//   stat(path)                       → same shape for one object, or null when missing
+//   createReadStream(path, { start, end }) → { stream, size, contentType }   end is inclusive, null for the rest
+//   write(path, body, { contentType, upsert, cacheControl, metadata })   body is a Buffer or a readable stream
+//   writeResumable(path, openStream, { size, cacheControl, metadata, resume, onCheckpoint })  optional, see supabase.js
+//   delete(paths)
+//   url(path)                        → absolute URL recorded in bunny_file_map.bunny_url
+// Directory paths end with '/'. Adapters map paths to their own keys.
+const { SOURCE_ADAPTER, DEST_ADAPTER } = require('../../config');
+const { throttleAdapter } = require('../throttle');
+
+const FACTORIES = {
+  bunny: () => require('./bunny').createBunnyAdapter(),
+  supabase: (opts) => require('./supabase').createSupabaseAdapter(opts),
+  s3: (opts) => require('./s3').createS3Adapter(opts),
+  local: (opts) => require('./local').createLocalAdapter(opts)
+};
+
+// Per-side settings come from SOURCE_* / DEST_* env vars, so the same adapter
+// type can sit on both ends (e.g. local → local) with different roots.
+function optionsFor(role) {
+  const env = (k) => process.env[`${role}_${k}`];
+  return {
+    bucket: env('BUCKET') || env('S3_BUCKET'),
+    root: env('LOCAL_ROOT'),
+    region: env('S3_REGION'),
+    endpoint: env('S3_ENDPOINT'),
+    accessKeyId: env('S3_ACCESS_KEY_ID'),
+    secretAccessKey: env('S3_SECRET_ACCESS_KEY'),
+    forcePathStyle: env('S3_FORCE_PATH_STYLE') === 'true',
+    publicBaseUrl: env('PUBLIC_BASE_URL')
+  };
+}
+
+function createAdapter(type, opts = {}) {
+  const factory = FACTORIES[type];
+  if (!factory) throw new Error(`Unknown storage adapter "${type}" (expected one of ${Object.keys(FACTORIES).join(', ')})`);
+  // Undefined keys must not override an adapter's own defaults.
+  const clean = Object.fromEntries(Object.entries(opts).filter(([, v]) => v !== undefined));
+  return factory(clean);
+}
+
+let source = null;
+let dest = null;
+
+// Both sides draw from the shared budgets in migration_throttle.
+function getSource() {
+  if (!source) source = throttleAdapter(createAdapter(SOURCE_ADAPTER, optionsFor('SOURCE')), 'source');
+  return source;
+}
+
+function getDest() {
+  if (!dest) dest = throttleAdapter(createAdapter(DEST_ADAPTER, optionsFor('DEST')), 'dest');
+  return dest;
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+module.exports = { createAdapter, getSource, getDest, readAll };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const nodePath = require('path');
+const { pipeline } = require('stream/promises');
+const { pathToFileURL } = require('url');
+
+// A directory on disk. Handy for dry runs and for exercising the whole
+// pipeline without any remote storage.
+function createLocalAdapter({ root }) {
+  if (!root) throw new Error('Local adapter requires a root directory');
+  const base = nodePath.resolve(root);
+
+  // Keep every resolved path inside root, whatever the key looks like.
+  function resolve(path) {
+    const full = nodePath.resolve(base, `.${nodePath.posix.normalize(`/${path}`)}`);
+    if (full !== base && !full.startsWith(base + nodePath.sep)) {
+      throw new Error(`Path escapes adapter root: ${path}`);
+    }
+    return full;
+  }
+
+  async function list(dirPath = '/') {
+    let dirents;
+    try {
+      dirents = await fsp.readdir(resolve(dirPath), { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const items = [];
+    for (const d of dirents) {
+      const isDir = d.isDirectory();
+      if (!isDir && !d.isFile()) continue;
+      const path = `${dirPath}${d.name}${isDir ? '/' : ''}`;
+      const st = await fsp.stat(resolve(path));
+      items.push({
+        name: d.name,
+        path,
+        isDir,
+        size: isDir ? null : st.size,
+        contentType: null,
+        lastChanged: st.mtime.toISOString(),
+        checksum: null,
+        guid: null
+      });
+    }
+    return items;
+  }
+
+  async function stat(path) {
+    try {
+      const st = await fsp.stat(resolve(path));
+      if (!st.isFile()) return null;
+      return {
+        name: nodePath.posix.basename(path),
+        path,
+        isDir: false,
+        size: st.size,
+        contentType: null,
+        lastChanged: st.mtime.toISOString(),
+        checksum: null,
+        guid: null
+      };
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function createReadStream(path, { start = 0, end = null } = {}) {
+    const full = resolve(path);
+    const st = await fsp.stat(full);
+    const stop = end === null ? st.size : Math.min(end + 1, st.size);
+    return { stream: fs.createReadStream(full, { start, end: stop - 1 }), size: Math.max(0, stop - start), contentType: null };
+  }
+
+  // Write next to the target and rename, so readers never see a partial file.
+  async function write(path, body) {
+    const full = resolve(path);
+    await fsp.mkdir(nodePath.dirname(full), { recursive: true });
+    const tmp = `${full}.${process.pid}.partial`;
+    try {
+      if (Buffer.isBuffer(body)) await fsp.writeFile(tmp, body);
+      else await pipeline(body, fs.createWriteStream(tmp));
+      await fsp.rename(tmp, full);
+    } catch (e) {
+      await fsp.rm(tmp, { force: true });
+      throw e;
+    }
+  }
+
+  async function remove(paths) {
+    for (const path of paths) await fsp.rm(resolve(path), { force: true });
+  }
+
+  function url(path) {
+    return pathToFileURL(resolve(path)).href;
+  }
+
+  return { name: 'local', list, stat, createReadStream, write, delete: remove, url };
+}
+
+module.exports = { createLocalAdapter };
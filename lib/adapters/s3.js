@@ -0,0 +1,128 @@
+function toKey(path) {
+  return path.startsWith('/') ? path.slice(1) : path;
+}
+
+// S3 ChecksumSHA256 is base64; the rest of the pipeline compares hex.
+function base64ToHex(v) {
+  return v ? Buffer.from(v, 'base64').toString('hex') : null;
+}
+
+// Any S3-compatible store (AWS, R2, MinIO, Wasabi...). The SDK is only
+// required when this adapter is configured.
+function createS3Adapter({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicBaseUrl }) {
+  if (!bucket) throw new Error('S3 adapter requires a bucket');
+  const {
+    S3Client,
+    ListObjectsV2Command,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectsCommand
+  } = require('@aws-sdk/client-s3');
+  const { Upload } = require('@aws-sdk/lib-storage');
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  async function list(dirPath = '/') {
+    const prefix = toKey(dirPath);
+    const items = [];
+    let token;
+    do {
+      const out = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        Delimiter: '/',
+        ContinuationToken: token
+      }));
+      for (const p of out.CommonPrefixes || []) {
+        const name = p.Prefix.slice(prefix.length).replace(/\/$/, '');
+        items.push({ name, path: `${dirPath}${name}/`, isDir: true, size: null, contentType: null, lastChanged: null, checksum: null, guid: null });
+      }
+      for (const o of out.Contents || []) {
+        if (o.Key === prefix) continue; // folder marker
+        const name = o.Key.slice(prefix.length);
+        items.push({
+          name,
+          path: `${dirPath}${name}`,
+          isDir: false,
+          size: o.Size ?? null,
+          contentType: null,
+          lastChanged: o.LastModified ? o.LastModified.toISOString() : null,
+          checksum: null,
+          guid: o.ETag || null
+        });
+      }
+      token = out.IsTruncated ? out.NextContinuationToken : undefined;
+    } while (token);
+    return items;
+  }
+
+  async function stat(path) {
+    try {
+      const out = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toKey(path), ChecksumMode: 'ENABLED' }));
+      return {
+        name: path.slice(path.lastIndexOf('/') + 1),
+        path,
+        isDir: false,
+        size: out.ContentLength ?? null,
+        contentType: out.ContentType || null,
+        lastChanged: out.LastModified ? out.LastModified.toISOString() : null,
+        checksum: out.Metadata?.sha256 || base64ToHex(out.ChecksumSHA256),
+        guid: out.ETag || null
+      };
+    } catch (e) {
+      if (e.$metadata?.httpStatusCode === 404 || e.name === 'NotFound') return null;
+      throw e;
+    }
+  }
+
+  async function createReadStream(path, { start = 0, end = null } = {}) {
+    const out = await client.send(new GetObjectCommand({
+      Bucket: bucket,
+      Key: toKey(path),
+      Range: start > 0 || end !== null ? `bytes=${start}-${end ?? ''}` : undefined
+    }));
+    return { stream: out.Body, size: out.ContentLength ?? null, contentType: out.ContentType || null };
+  }
+
+  // lib-storage switches to multipart on its own for large or unknown-length bodies.
+  async function write(path, body, { contentType, cacheControl, metadata } = {}) {
+    const upload = new Upload({
+      client,
+      params: {
+        Bucket: bucket,
+        Key: toKey(path),
+        Body: body,
+        ContentType: contentType || 'application/octet-stream',
+        CacheControl: cacheControl != null ? `max-age=${cacheControl}` : undefined,
+        Metadata: metadata
+      }
+    });
+    await upload.done();
+  }
+
+  async function remove(paths) {
+    for (let i = 0; i < paths.length; i += 1000) {
+      const out = await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: paths.slice(i, i + 1000).map(p => ({ Key: toKey(p) })), Quiet: true }
+      }));
+      if (out.Errors && out.Errors.length) {
+        throw new Error(`S3 delete failed for ${out.Errors.length} objects: ${out.Errors[0].Message}`);
+      }
+    }
+  }
+
+  function url(path) {
+    const base = publicBaseUrl || (endpoint ? `${endpoint.replace(/\/$/, '')}/${bucket}` : `https://${bucket}.s3.amazonaws.com`);
+    return `${base}/${toKey(path).split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  return { name: 's3', list, stat, createReadStream, write, delete: remove, url };
+}
+
+module.exports = { createS3Adapter };
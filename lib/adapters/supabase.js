@@ -0,0 +1,152 @@
+const { SUPABASE_URL, SUPABASE_KEY, SUPABASE_BUCKET, TUS_ENDPOINT, TUS_CHUNK_SIZE } = require('../../config');
+const { supabase, http } = require('../clients');
+const { createUpload, getOffset, uploadFrom } = require('../tus');
+
+const PAGE_SIZE = 1000;
+const SIGNED_URL_TTL = 600;
+
+function toKey(path) {
+  return path.startsWith('/') ? path.slice(1) : path;
+}
+
+function isNotFound(error) {
+  const status = Number(error?.status || error?.statusCode || error?.originalError?.status);
+  return status === 404 || (status === 400 && /not.?found/i.test(error.message || ''));
+}
+
+// Supabase Storage bucket. Accepts '/dir/file' or 'dir/file'; object keys never lead with '/'.
+function createSupabaseAdapter({ bucket = SUPABASE_BUCKET } = {}) {
+  const storage = () => supabase.storage.from(bucket);
+
+  async function list(dirPath = '/') {
+    const prefix = toKey(dirPath).replace(/\/$/, '');
+    const items = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await storage().list(prefix, { limit: PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } });
+      if (error) throw error;
+      for (const o of data || []) {
+        // Folders come back as placeholder rows without an id.
+        const isDir = !o.id;
+        items.push({
+          name: o.name,
+          path: `${dirPath}${o.name}${isDir ? '/' : ''}`,
+          isDir,
+          size: isDir ? null : (o.metadata?.size ?? null),
+          contentType: isDir ? null : (o.metadata?.mimetype || null),
+          lastChanged: o.updated_at || null,
+          checksum: null,
+          guid: o.id || null
+        });
+      }
+      if (!data || data.length < PAGE_SIZE) return items;
+    }
+  }
+
+  async function stat(path) {
+    const { data, error } = await storage().info(toKey(path));
+    if (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+    return {
+      name: data.name,
+      path,
+      isDir: false,
+      size: data.size ?? null,
+      contentType: data.contentType || null,
+      lastChanged: data.lastModified || data.updatedAt || null,
+      checksum: data.metadata?.sha256 || null,
+      guid: data.id || null
+    };
+  }
+
+  async function createReadStream(path, { start = 0, end = null } = {}) {
+    const { data, error } = await storage().createSignedUrl(toKey(path), SIGNED_URL_TTL);
+    if (error) throw error;
+    const headers = start > 0 || end !== null ? { Range: `bytes=${start}-${end ?? ''}` } : undefined;
+    const resp = await http.get(data.signedUrl, { responseType: 'stream', headers });
+    return {
+      stream: resp.data,
+      size: Number(resp.headers['content-length']) || null,
+      contentType: resp.headers['content-type'] || null
+    };
+  }
+
+  // Buffers go through the SDK's upload. Streams are posted to the same
+  // endpoint directly: the SDK drops the `duplex` option fetch needs for a
+  // stream body, and its signed-URL upload cannot carry metadata. `metadata`
+  // is e.g. the sha256 read back by stat; cacheControl is a max-age in seconds.
+  async function write(path, body, { contentType, upsert = true, cacheControl, metadata } = {}) {
+    const key = toKey(path);
+    const mime = contentType || 'application/octet-stream';
+    const maxAge = String(cacheControl ?? 3600);
+
+    if (Buffer.isBuffer(body)) {
+      const { error } = await storage().upload(key, body, { upsert, contentType: mime, cacheControl: maxAge, metadata });
+      if (error) throw error;
+      return;
+    }
+
+    const headers = {
+      authorization: `Bearer ${SUPABASE_KEY}`,
+      apikey: SUPABASE_KEY,
+      'x-upsert': String(upsert),
+      'content-type': mime,
+      'cache-control': `max-age=${maxAge}`
+    };
+    if (metadata) headers['x-metadata'] = Buffer.from(JSON.stringify(metadata)).toString('base64');
+    await http.post(`${SUPABASE_URL}/storage/v1/object/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`, body, { headers });
+  }
+
+  // TUS upload via Supabase's resumable endpoint. `resume` is the { url, offset }
+  // saved by an earlier attempt; openStream(start) must yield the source from
+  // byte `start`. onCheckpoint({ url, offset }) runs after every confirmed chunk.
+  async function writeResumable(path, openStream, { size, contentType, upsert = true, cacheControl, metadata, resume, chunkSize = TUS_CHUNK_SIZE, onCheckpoint } = {}) {
+    const endpoint = TUS_ENDPOINT || `${SUPABASE_URL}/storage/v1/upload/resumable`;
+    const headers = { authorization: `Bearer ${SUPABASE_KEY}`, apikey: SUPABASE_KEY, 'x-upsert': String(upsert) };
+    const checkpoint = async (state) => { if (onCheckpoint) await onCheckpoint(state); };
+
+    let url = resume?.url || null;
+    let offset = url ? await getOffset(url, { headers }) : null;
+    if (offset === null) {
+      url = await createUpload(endpoint, {
+        headers,
+        size,
+        metadata: {
+          bucketName: bucket,
+          objectName: toKey(path),
+          contentType: contentType || 'application/octet-stream',
+          cacheControl: String(cacheControl ?? 3600),
+          metadata: metadata ? JSON.stringify(metadata) : undefined
+        }
+      });
+      offset = 0;
+    }
+    await checkpoint({ url, offset });
+    if (offset >= size) return;
+
+    const stream = await openStream(offset);
+    await uploadFrom(url, stream, {
+      offset,
+      size,
+      chunkSize,
+      headers,
+      onChunk: (o) => checkpoint({ url, offset: o })
+    });
+  }
+
+  async function remove(paths) {
+    for (let i = 0; i < paths.length; i += PAGE_SIZE) {
+      const { error } = await storage().remove(paths.slice(i, i + PAGE_SIZE).map(toKey));
+      if (error) throw error;
+    }
+  }
+
+  function url(path) {
+    return storage().getPublicUrl(toKey(path)).data.publicUrl;
+  }
+
+  return { name: 'supabase', list, stat, createReadStream, write, writeResumable, delete: remove, url };
+}
+
+module.exports = { createSupabaseAdapter };
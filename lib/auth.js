@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { supabase } = require('./clients');
+const { logger } = require('./log');
+const { CONTROL_AUTH, CONTROL_API_KEYS, CONTROL_JWT_DEFAULT_ROLE } = require('../config');
+
+// Control API auth. A bearer token is either one of CONTROL_API_KEYS
+// ("name:role:token,name:role:token") or a Supabase Auth access token, whose
+// role comes from app_metadata.migration_role (else CONTROL_JWT_DEFAULT_ROLE).
+// Roles are ordered: an operator can do everything a viewer can.
+
+const ROLES = ['viewer', 'operator'];
+const JWT_CACHE_MS = 60_000;
+
+function digest(s) {
+  return crypto.createHash('sha256').update(String(s)).digest();
+}
+
+function parseApiKeys(spec) {
+  return (spec || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, role, ...rest] = entry.split(':');
+      const token = rest.join(':');
+      if (!name || !ROLES.includes(role) || !token) {
+        throw new Error(`Invalid CONTROL_API_KEYS entry "${name || entry}" (expected name:role:token, role ${ROLES.join(' | ')})`);
+      }
+      return { name, role, hash: digest(token) };
+    });
+}
+
+const apiKeys = parseApiKeys(CONTROL_API_KEYS);
+const jwtCache = new Map();
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function findApiKey(token) {
+  const h = digest(token);
+  return apiKeys.find(k => crypto.timingSafeEqual(k.hash, h)) || null;
+}
+
+async function verifyJwt(token) {
+  const key = digest(token).toString('hex');
+  const hit = jwtCache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.user;
+
+  const { data, error } = await supabase.auth.getUser(token);
+  let user = null;
+  if (!error && data?.user) {
+    const role = data.user.app_metadata?.migration_role || CONTROL_JWT_DEFAULT_ROLE;
+    if (ROLES.includes(role)) user = { name: data.user.email || data.user.id, role, via: 'jwt' };
+  }
+  if (jwtCache.size > 1000) jwtCache.clear();
+  jwtCache.set(key, { user, expires: Date.now() + JWT_CACHE_MS });
+  return user;
+}
+
+async function identify(token) {
+  if (!token) return null;
+  const k = findApiKey(token);
+  if (k) return { name: k.name, role: k.role, via: 'api_key' };
+  // JWTs are three dot-separated segments; anything else cannot be one.
+  if (token.split('.').length !== 3) return null;
+  return verifyJwt(token);
+}
+
+// `access_token` in the query is accepted for links and EventSource, which
+// cannot send headers, so only on GET and HEAD: anything that changes state
+// needs the Authorization header and keeps tokens out of URLs and logs.
+function tokenFrom(req) {
+  const h = req.get('authorization') || '';
+  const m = /^Bearer\s+(.+)$/i.exec(h);
+  if (m) return m[1].trim();
+  return ['GET', 'HEAD'].includes(req.method) ? (req.query.access_token || null) : null;
+}
+
+async function authenticate(req, res, next) {
+  if (CONTROL_AUTH === 'off') {
+    req.user = { name: 'anonymous', role: 'operator', via: 'none' };
+    return next();
+  }
+  try {
+    req.user = await identify(tokenFrom(req));
+  } catch (e) {
+    return next(e);
+  }
+  if (!req.user) return res.status(401).json({ error: 'Unauthorized' });
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `Requires ${role} role` });
+    next();
+  };
+}
+
+// Reads need a viewer, anything that changes state needs an operator.
+function roleByMethod(req, res, next) {
+  const role = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'viewer' : 'operator';
+  return requireRole(role)(req, res, next);
+}
+
+// Records every state-changing request once the response is sent.
+function auditMutations(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+  res.on('finish', async () => {
+    const { error } = await supabase.from('control_audit').insert({
+      actor: req.user?.name || null,
+      role: req.user?.role || null,
+      auth_via: req.user?.via || null,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      body: req.body && Object.keys(req.body).length ? req.body : null,
+      status_code: res.statusCode,
+      ip: req.ip
+    });
+    if (error) logger.warn('audit insert error', { err: error.message });
+  });
+  next();
+}
+
+module.exports = { ROLES, hasRole, authenticate, requireRole, roleByMethod, auditMutations };
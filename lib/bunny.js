@@ -13,9 +13,9 @@ function absoluteUrl(path) {
   return `${BUNNY_BASE}${path}`;
 }
 
-async function download(path, responseType) {
+async function download(path, responseType, headers = {}) {
   const url = absoluteUrl(path);
-  return http.get(url, { headers: { AccessKey: BUNNY_API_KEY }, responseType });
+  return http.get(url, { headers: { AccessKey: BUNNY_API_KEY, ...headers }, responseType });
 }
 
 module.exports = { listDir, absoluteUrl, download };
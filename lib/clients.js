@@ -2,7 +2,22 @@ const { createClient } = require('@supabase/supabase-js');
 const axios = require('axios');
 const { SUPABASE_URL, SUPABASE_KEY } = require('../config');
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, { auth: { persistSession: false } });
-const http = axios.create({ timeout: 120000, maxContentLength: Infinity, maxBodyLength: Infinity });
+// Built on first use. setClients() swaps in stand-ins (see test/support);
+// modules pick their clients up when they are loaded, so call it first.
+const clients = {};
 
-module.exports = { supabase, http };
+function setClients(overrides) {
+  Object.assign(clients, overrides);
+}
+
+module.exports = {
+  get supabase() {
+    if (!clients.supabase) clients.supabase = createClient(SUPABASE_URL, SUPABASE_KEY, { auth: { persistSession: false } });
+    return clients.supabase;
+  },
+  get http() {
+    if (!clients.http) clients.http = axios.create({ timeout: 120000, maxContentLength: Infinity, maxBodyLength: Infinity });
+    return clients.http;
+  },
+  setClients
+};
@@ -0,0 +1,75 @@
+// 5-field cron expressions (minute hour day-of-month month day-of-week) in
+// local time. Fields take *, numbers, ranges (1-5), lists (1,15) and steps
+// (*/15, 0-30/10); day-of-week 0 and 7 are Sunday. As in cron, when both day
+// fields are restricted a day matching either one fires.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+const SEARCH_DAYS = 5 * 366;
+
+function parseField(spec, { name, min, max }) {
+  const values = new Set();
+  for (const part of spec.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`Invalid cron ${name} "${spec}"`);
+    const from = m[1] === '*' ? min : Number(m[2]);
+    const to = m[1] === '*' ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : from;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid cron ${name} "${spec}"`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Invalid cron "${expr}" (expected 5 fields)`);
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.dom.has(date.getDate());
+  const dow = cron.dow.has(date.getDay());
+  if (cron.domAny || cron.dowAny) return (cron.domAny || dom) && (cron.dowAny || dow);
+  return dom || dow;
+}
+
+function matches(cron, date) {
+  return cron.minute.has(date.getMinutes()) &&
+    cron.hour.has(date.getHours()) &&
+    cron.month.has(date.getMonth() + 1) &&
+    dayMatches(cron, date);
+}
+
+// First matching minute strictly after `from`, or null.
+function nextRun(cron, from = new Date()) {
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = from.getTime() + SEARCH_DAYS * 86_400_000;
+  while (d.getTime() < limit) {
+    if (!cron.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, matches, nextRun };
@@ -0,0 +1,85 @@
+const { MAX_RETRIES, RATE_LIMIT_MAX_ATTEMPTS } = require('../config');
+
+// Failure categories stored in bunny_file_map.error_category and
+// migration_logs.error_category, each with its own retry policy.
+const CATEGORIES = [
+  'source_not_found',
+  'too_large',
+  'auth',
+  'rate_limited',
+  'network',
+  'invalid_key',
+  'conflict',
+  'integrity',
+  'unknown'
+];
+
+const NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+  'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_STREAM_PREMATURE_CLOSE',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+function httpStatus(err) {
+  return Number(err?.response?.status || err?.status || err?.$metadata?.httpStatusCode || err?.statusCode) || null;
+}
+
+// Retry-After (seconds or an HTTP date) of a 429/503 response, in ms; null
+// when the response has none.
+function retryAfterMs(err) {
+  const h = err?.response?.headers?.['retry-after'] || err?.$response?.headers?.['retry-after'];
+  if (!h) return null;
+  const secs = Number(h);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(h);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// err.side ('source' | 'dest') is set by the throttled adapter wrapper.
+function classifyError(err) {
+  if (err?.conflict) return 'conflict';
+  if (err?.integrity) return 'integrity';
+  const status = httpStatus(err);
+  const msg = String(err?.message || '');
+
+  if (status === 429 || status === 503 || err?.rateLimited) return 'rate_limited';
+  if (status === 413 || err?.name === 'EntityTooLarge' || /maximum allowed size|payload too large|entity too large/i.test(msg)) return 'too_large';
+  if (status === 401 || status === 403 || /invalid (jwt|signature|api key)|unauthori[sz]ed/i.test(msg)) return 'auth';
+  if (/invalid key/i.test(msg) || err?.name === 'InvalidObjectName') return 'invalid_key';
+  if (status === 404 || err?.code === 'ENOENT' || err?.name === 'NoSuchKey') {
+    return err?.side === 'dest' ? 'unknown' : 'source_not_found';
+  }
+  if (NETWORK_CODES.has(err?.code) || NETWORK_CODES.has(err?.cause?.code)) return 'network';
+  if (/socket hang up|timeout|network|fetch failed/i.test(msg)) return 'network';
+  if (status >= 500) return 'network';
+  return 'unknown';
+}
+
+// maxAttempts counts the first try; delayMs(attempt, err) is the wait before the next one.
+const squared = attempt => 1000 * attempt * attempt;
+// Half the exponential step plus a random half, so workers that were limited
+// together do not all come back together.
+const jittered = attempt => {
+  const step = Math.min(60_000, 2000 * 2 ** (attempt - 1));
+  return Math.round(step / 2 + Math.random() * step / 2);
+};
+const RETRY_POLICIES = {
+  source_not_found: { maxAttempts: 1 },
+  too_large: { maxAttempts: 1 },
+  invalid_key: { maxAttempts: 1 },
+  conflict: { maxAttempts: 1 },
+  auth: { maxAttempts: 2, delayMs: () => 5000 },
+  // Usually a truncated download; a source that is corrupt at rest keeps failing.
+  integrity: { maxAttempts: MAX_RETRIES, delayMs: squared },
+  // The server's Retry-After when it sends one (the shared throttle back-off in
+  // lib/throttle.js holds the other workers for as long), else our own.
+  rate_limited: { maxAttempts: RATE_LIMIT_MAX_ATTEMPTS, delayMs: (attempt, err) => retryAfterMs(err) ?? jittered(attempt) },
+  network: { maxAttempts: Math.max(MAX_RETRIES, 5), delayMs: attempt => Math.min(60_000, 2000 * 2 ** (attempt - 1)) },
+  unknown: { maxAttempts: MAX_RETRIES, delayMs: squared }
+};
+
+function retryPolicy(category) {
+  return RETRY_POLICIES[category] || RETRY_POLICIES.unknown;
+}
+
+module.exports = { CATEGORIES, httpStatus, retryAfterMs, classifyError, retryPolicy };
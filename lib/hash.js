@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+
+async function sha256Stream(stream) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of stream) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+// Bunny's listing Checksum is the same SHA-256, upper-case.
+function sameDigest(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+function integrityError(message) {
+  const err = new Error(message);
+  err.integrity = true;
+  return err;
+}
+
+// Passes `source` through while hashing it. At the end the stream errors
+// (instead of ending) when the byte count or digest differs from what the
+// source promised, so whatever consumes it fails before the upload completes.
+// `.sha256` is set once it ends.
+//
+// With `checkpoints`, checkpoint(at) returns the hash state of the first `at`
+// bytes once the consumer has confirmed them (bytes read but not confirmed
+// are held until then, about one upload chunk). Resuming from there, `source`
+// starts at byte `offset` and `hash` is that state.
+function hashingStream(source, { size = null, checksum = null, offset = 0, hash = null, checkpoints = false } = {}) {
+  const running = hash ? hash.copy() : crypto.createHash('sha256');
+  const confirmed = hash ? hash.copy() : crypto.createHash('sha256');
+  const unconfirmed = [];
+  let confirmedAt = offset;
+  let seen = offset;
+  const out = new Transform({
+    transform(chunk, encoding, callback) {
+      running.update(chunk);
+      if (checkpoints) unconfirmed.push(chunk);
+      seen += chunk.length;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      const digest = running.digest('hex');
+      if (size !== null && seen !== Number(size)) {
+        return callback(integrityError(`size mismatch: expected ${Number(size)} bytes, read ${seen}`));
+      }
+      if (checksum && !sameDigest(digest, checksum)) {
+        return callback(integrityError(`checksum mismatch: expected ${checksum.toLowerCase()}, read ${digest}`));
+      }
+      out.sha256 = digest;
+      callback();
+    }
+  });
+  out.sha256 = null;
+  out.checkpoint = (at) => {
+    while (confirmedAt < at && unconfirmed.length) {
+      const chunk = unconfirmed[0];
+      const take = Math.min(chunk.length, at - confirmedAt);
+      confirmed.update(take === chunk.length ? chunk : chunk.subarray(0, take));
+      confirmedAt += take;
+      if (take === chunk.length) unconfirmed.shift();
+      else unconfirmed[0] = chunk.subarray(take);
+    }
+    return confirmedAt === at ? confirmed.copy() : null;
+  };
+  pipeline(source, out, () => {});
+  return out;
+}
+
+module.exports = { sha256Stream, sameDigest, hashingStream };
@@ -0,0 +1,168 @@
+const { EventEmitter } = require('events');
+const { supabase } = require('./clients');
+const { logger } = require('./log');
+const { LIVE_FALLBACK_POLL_MS, LIVE_FLUSH_MS } = require('../config');
+
+// Change feed for the control API: migration_progress updates (with deltas),
+// new migration_logs rows, migration_jobs, migration_workers and
+// migration_runs changes, from Supabase Realtime.
+// While the channel is not subscribed (Realtime disabled, tables missing
+// from the publication, network trouble) the same events come from a single
+// poller instead, so clients never have to poll themselves.
+
+const COUNTERS = ['total_bytes', 'total_files', 'scanned_dirs', 'migrated_files', 'failed_files', 'skipped_files'];
+const POLL_LOG_LIMIT = 500;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const lastProgress = new Map();
+let started = false;
+let pollTimer = null;
+let polling = null;
+let since = null;
+// Last log row emitted by the poller: { at: upload_time, id }.
+let logCursor = null;
+let realtimeStatus = null;
+
+function progressDelta(row) {
+  const prev = lastProgress.get(row.job_id);
+  lastProgress.set(row.job_id, row);
+  if (!prev) return null;
+  const delta = {};
+  for (const k of COUNTERS) delta[k] = Number(row[k] || 0) - Number(prev[k] || 0);
+  return delta;
+}
+
+function emitProgress(row) {
+  bus.emit('progress', { progress: row, delta: progressDelta(row) });
+}
+
+// Log rows come in bursts far larger than one page, so they are read page
+// by page from the last emitted row until caught up. (upload_time, id) is the
+// cursor because a bulk insert gives many rows the same upload_time.
+async function pollLogs() {
+  // logCursor is cleared when Realtime takes over mid-catch-up.
+  while (logCursor) {
+    const { at, id } = logCursor;
+    let q = supabase.from('migration_logs').select('*');
+    q = id ? q.or(`upload_time.gt."${at}",and(upload_time.eq."${at}",id.gt.${id})`) : q.gt('upload_time', at);
+    const { data, error } = await q
+      .order('upload_time', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(POLL_LOG_LIMIT);
+    if (error) throw error;
+    if (!data.length) return;
+    data.forEach(l => bus.emit('log', l));
+    if (!logCursor) return;
+    const last = data[data.length - 1];
+    logCursor = { at: last.upload_time, id: last.id };
+    if (data.length < POLL_LOG_LIMIT) return;
+  }
+}
+
+async function poll() {
+  const from = since;
+  since = new Date().toISOString();
+
+  const [progress, jobs, workers, runs] = await Promise.all([
+    supabase.from('migration_progress').select('*').gt('last_update', from),
+    supabase.from('migration_jobs').select('*').gt('updated_at', from),
+    supabase.from('migration_workers').select('*').gt('last_heartbeat', from),
+    supabase.from('migration_runs').select('*').or(`started_at.gt.${from},ended_at.gt.${from}`)
+  ]);
+  for (const r of [progress, jobs, workers, runs]) if (r.error) throw r.error;
+
+  progress.data.forEach(emitProgress);
+  jobs.data.forEach(j => bus.emit('job', j));
+  workers.data.forEach(w => bus.emit('worker', w));
+  runs.data.forEach(r => bus.emit('run', r));
+  await pollLogs();
+}
+
+function startPolling() {
+  if (pollTimer) return;
+  since = since || new Date().toISOString();
+  logCursor = logCursor || { at: since, id: null };
+  pollTimer = setInterval(() => {
+    // A long catch-up must not overlap the next tick.
+    if (polling) return;
+    polling = poll()
+      .catch(e => logger.warn('live poll error', { err: e.message }))
+      .finally(() => { polling = null; });
+  }, LIVE_FALLBACK_POLL_MS);
+  pollTimer.unref();
+}
+
+function stopPolling() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+  since = null;
+  logCursor = null;
+}
+
+function start() {
+  if (started) return;
+  started = true;
+  startPolling();
+
+  supabase
+    .channel('control-live')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'migration_progress' },
+      p => p.new?.job_id && emitProgress(p.new))
+    .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'migration_logs' },
+      p => bus.emit('log', p.new))
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'migration_jobs' },
+      p => p.new?.id && bus.emit('job', p.new))
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'migration_workers' },
+      p => p.new?.id && bus.emit('worker', p.new))
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'migration_runs' },
+      p => p.new?.id && bus.emit('run', p.new))
+    .subscribe((status, err) => {
+      // realtime-js keeps retrying; only report transitions.
+      if (status === realtimeStatus) return;
+      realtimeStatus = status;
+      if (status === 'SUBSCRIBED') {
+        stopPolling();
+        logger.info('live: realtime subscribed');
+        return;
+      }
+      logger.warn(`live: realtime ${status}, polling every ${LIVE_FALLBACK_POLL_MS}ms`, err ? { err: err.message } : undefined);
+      startPolling();
+    });
+}
+
+// send(event, data) receives 'progress', 'job', 'worker', 'run' and batched 'logs' events,
+// optionally narrowed to one job. Returns the unsubscribe function.
+function subscribe({ jobId } = {}, send) {
+  start();
+  let logs = [];
+
+  const onProgress = e => { if (!jobId || e.progress.job_id === jobId) send('progress', e); };
+  const onJob = j => send('job', j);
+  const onWorker = w => send('worker', w);
+  const onRun = r => send('run', r);
+  const onLog = l => { if (!jobId || l.job_id === jobId) logs.push(l); };
+  // Busy workers write many log rows a second; clients get them in batches.
+  const flush = setInterval(() => {
+    if (!logs.length) return;
+    send('logs', logs);
+    logs = [];
+  }, LIVE_FLUSH_MS);
+
+  bus.on('progress', onProgress);
+  bus.on('job', onJob);
+  bus.on('worker', onWorker);
+  bus.on('run', onRun);
+  bus.on('log', onLog);
+  return () => {
+    clearInterval(flush);
+    bus.off('progress', onProgress);
+    bus.off('job', onJob);
+    bus.off('worker', onWorker);
+    bus.off('run', onRun);
+    bus.off('log', onLog);
+  };
+}
+
+module.exports = { subscribe };
@@ -1,9 +1,108 @@
 const fs = require('fs');
-const { LOG_FILE } = require('../config');
+const { LOG_FILE, LOG_LEVEL, LOG_FORMAT, LOG_MAX_BYTES, LOG_MAX_FILES } = require('../config');
+
+// Leveled, structured logger. LOG_FILE gets one JSON object per line and is
+// rotated at LOG_MAX_BYTES (LOG_FILE.1 … LOG_FILE.<LOG_MAX_FILES>); the
+// console gets LOG_FORMAT (text | json). Writes are queued and appended
+// asynchronously; whatever is still pending at exit is written synchronously
+// (a line may then appear twice, but none is lost).
+//
+//   logger.info('OK', { file_id, attempt })
+//   const flog = logger.child({ file_id }); flog.warn('retry', { attempt })
+//   setLogContext({ job_id, worker_id })   // fields on every line
+//   log('plain text')                      // = logger.info
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[LOG_LEVEL] ?? LEVELS.info;
+
+const context = {};
+let queue = [];
+let inflight = '';
+let writing = false;
+let fileSize = null;
+
+function setLogContext(fields) {
+  Object.assign(context, fields);
+}
+
+function currentSize() {
+  if (fileSize === null) {
+    try { fileSize = fs.statSync(LOG_FILE).size; } catch (_) { fileSize = 0; }
+  }
+  return fileSize;
+}
+
+async function rotate() {
+  for (let i = LOG_MAX_FILES - 1; i >= 1; i--) {
+    await fs.promises.rename(`${LOG_FILE}.${i}`, `${LOG_FILE}.${i + 1}`).catch(() => {});
+  }
+  await fs.promises.rename(LOG_FILE, `${LOG_FILE}.1`).catch(() => {});
+  fileSize = 0;
+}
+
+async function drain() {
+  writing = true;
+  try {
+    while (queue.length) {
+      const chunk = queue.join('');
+      queue = [];
+      inflight = chunk;
+      if (LOG_MAX_BYTES && currentSize() > 0 && currentSize() + chunk.length > LOG_MAX_BYTES) await rotate();
+      await fs.promises.appendFile(LOG_FILE, chunk);
+      inflight = '';
+      fileSize = currentSize() + Buffer.byteLength(chunk);
+    }
+  } catch (e) {
+    process.stderr.write(`log write failed: ${e.message}\n`);
+  } finally {
+    writing = false;
+  }
+}
+
+process.on('exit', () => {
+  const rest = inflight + queue.join('');
+  if (!rest) return;
+  try { fs.appendFileSync(LOG_FILE, rest); } catch (_) { /* nothing left to report to */ }
+});
+
+function serializeError(err) {
+  return err instanceof Error ? { message: err.message, name: err.name, code: err.code, stack: err.stack } : err;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < minLevel) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...context, ...fields };
+  if (entry.err) entry.err = serializeError(entry.err);
+  const json = JSON.stringify(entry);
+
+  queue.push(`${json}\n`);
+  if (!writing) drain();
+
+  const out = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  if (LOG_FORMAT === 'json') {
+    out.write(`${json}\n`);
+  } else {
+    const extra = Object.entries(fields || {})
+      .map(([k, v]) => `${k}=${k === 'err' && v instanceof Error ? v.message : typeof v === 'object' ? JSON.stringify(v) : v}`)
+      .join(' ');
+    out.write(`${level === 'info' ? '' : `${level.toUpperCase()} `}${msg}${extra ? ` ${extra}` : ''}\n`);
+  }
+}
+
+function createLogger(base = {}) {
+  return {
+    debug: (msg, fields) => write('debug', msg, { ...base, ...fields }),
+    info: (msg, fields) => write('info', msg, { ...base, ...fields }),
+    warn: (msg, fields) => write('warn', msg, { ...base, ...fields }),
+    error: (msg, fields) => write('error', msg, { ...base, ...fields }),
+    child: (fields) => createLogger({ ...base, ...fields })
+  };
+}
+
+const logger = createLogger();
 
 function log(line) {
-  const s = `[${new Date().toISOString()}] ${line}\n`;
-  fs.appendFileSync(LOG_FILE, s);
-  console.log(line);
+  logger.info(line);
 }
-module.exports = { log };
+
+module.exports = { log, logger, setLogContext };
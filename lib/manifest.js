@@ -0,0 +1,93 @@
+const { supabase } = require('./clients');
+const { csvRow, toStoragePath } = require('./util');
+const { SUPABASE_BUCKET, EXPORT_URL_MODE, EXPORT_SIGNED_URL_TTL } = require('../config');
+
+// Result manifest: old source URL → destination path and URL for every file,
+// for apps that have to rewrite stored references. Streams as CSV or NDJSON,
+// paged by path through export_manifest(); filters match control.js /files.
+//
+// URLs are Supabase Storage URLs for SUPABASE_BUCKET: 'public' (bucket must be
+// public), 'signed' (valid EXPORT_SIGNED_URL_TTL seconds) or 'none'. Only
+// files that reached the destination get one.
+
+const PAGE_SIZE = 1000;
+const FORMATS = ['csv', 'ndjson'];
+const URL_MODES = ['public', 'signed', 'none'];
+const AT_DEST = ['migrated', 'skipped', 'verify_failed'];
+
+const COLUMNS = ['bunny_url', 'supabase_path', 'url', 'size', 'mime_type', 'status', 'error_category', 'last_error', 'source_path', 'updated_at'];
+
+async function destUrls(paths, mode) {
+  if (mode === 'none' || !paths.length) return new Map();
+  const storage = supabase.storage.from(SUPABASE_BUCKET);
+  if (mode === 'public') {
+    return new Map(paths.map(p => [p, storage.getPublicUrl(p).data.publicUrl]));
+  }
+  const { data, error } = await storage.createSignedUrls(paths, EXPORT_SIGNED_URL_TTL);
+  if (error) throw error;
+  return new Map((data || []).filter(d => d.signedUrl).map(d => [d.path, d.signedUrl]));
+}
+
+function checkOptions({ format = 'csv', url = EXPORT_URL_MODE } = {}) {
+  if (!FORMATS.includes(format)) return `Invalid format "${format}" (expected ${FORMATS.join(' | ')})`;
+  if (!URL_MODES.includes(url)) return `Invalid url mode "${url}" (expected ${URL_MODES.join(' | ')})`;
+  return null;
+}
+
+async function* manifestRows({ status = null, category = null, q = null, url = EXPORT_URL_MODE } = {}) {
+  const invalid = checkOptions({ url });
+  if (invalid) throw new Error(invalid);
+  let after = null;
+  while (true) {
+    const { data, error } = await supabase.rpc('export_manifest', {
+      _status: status || null,
+      _category: category || null,
+      _search: q || null,
+      _after_path: after,
+      _limit: PAGE_SIZE
+    });
+    if (error) throw error;
+    if (!data || !data.length) return;
+
+    const rows = data.map(f => ({ ...f, supabase_path: f.dest_path || toStoragePath(f.path) }));
+    const urls = await destUrls(rows.filter(r => AT_DEST.includes(r.status)).map(r => r.supabase_path), url);
+    for (const r of rows) {
+      yield {
+        bunny_url: r.bunny_url,
+        supabase_path: r.supabase_path,
+        url: urls.get(r.supabase_path) || null,
+        size: r.size,
+        mime_type: r.mime_type,
+        status: r.status,
+        error_category: r.error_category,
+        last_error: r.last_error,
+        source_path: r.path,
+        updated_at: r.updated_at
+      };
+    }
+    if (data.length < PAGE_SIZE) return;
+    after = data[data.length - 1].path;
+  }
+}
+
+// Writes the manifest to a writable stream (response or file), honouring
+// backpressure. Resolves with the number of rows written; rejects if the
+// stream closes first (e.g. the client went away).
+async function writeManifest(out, { format = 'csv', ...filters } = {}) {
+  const invalid = checkOptions({ format, url: filters.url });
+  if (invalid) throw new Error(invalid);
+  const write = async (chunk) => {
+    if (out.destroyed) throw new Error('Output closed');
+    if (!out.write(chunk)) await new Promise(r => { out.once('drain', r); out.once('close', r); });
+  };
+
+  let n = 0;
+  if (format === 'csv') await write(csvRow(COLUMNS));
+  for await (const row of manifestRows(filters)) {
+    await write(format === 'csv' ? csvRow(COLUMNS.map(c => row[c])) : `${JSON.stringify(row)}\n`);
+    n += 1;
+  }
+  return n;
+}
+
+module.exports = { FORMATS, URL_MODES, checkOptions, manifestRows, writeManifest };
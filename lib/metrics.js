@@ -0,0 +1,144 @@
+const http = require('http');
+const client = require('prom-client');
+const { supabase } = require('./clients');
+const { log, logger } = require('./log');
+const { METRICS_PORT, WORKER_STALE_SECONDS } = require('../config');
+
+// Prometheus metrics. Worker processes count what they do in `registry` and
+// serve it on METRICS_PORT (unset = no server). control.js exposes table
+// gauges from tableRegistry() on its own /metrics.
+
+const registry = new client.Registry();
+
+const metrics = {
+  files: new client.Counter({
+    name: 'migrator_files_total',
+    help: 'Files finished by this worker, by result',
+    labelNames: ['result'],
+    registers: [registry]
+  }),
+  bytes: new client.Counter({
+    name: 'migrator_bytes_transferred_total',
+    help: 'Bytes of successfully migrated files',
+    registers: [registry]
+  }),
+  retries: new client.Counter({
+    name: 'migrator_retries_total',
+    help: 'Retried attempts, by error category',
+    labelNames: ['category'],
+    registers: [registry]
+  }),
+  storageRequests: new client.Counter({
+    name: 'migrator_storage_requests_total',
+    help: 'Storage adapter calls by side (source/dest), operation and HTTP status ("ok" on success)',
+    labelNames: ['side', 'op', 'status'],
+    registers: [registry]
+  }),
+  uploadSeconds: new client.Histogram({
+    name: 'migrator_upload_duration_seconds',
+    help: 'Wall time to migrate one file, by size bucket',
+    labelNames: ['size'],
+    buckets: [0.1, 0.5, 1, 2, 5, 10, 30, 60, 120, 300, 600, 1800, 3600],
+    registers: [registry]
+  }),
+  dirs: new client.Counter({
+    name: 'migrator_dirs_scanned_total',
+    help: 'Directories listed by this discover worker, by result',
+    labelNames: ['result'],
+    registers: [registry]
+  }),
+  discovered: new client.Counter({
+    name: 'migrator_files_discovered_total',
+    help: 'New files recorded by this discover worker',
+    registers: [registry]
+  })
+};
+
+function sizeBucket(bytes) {
+  const n = Number(bytes || 0);
+  if (n < 1024 * 1024) return '<1MB';
+  if (n < 10 * 1024 * 1024) return '1-10MB';
+  if (n < 100 * 1024 * 1024) return '10-100MB';
+  if (n < 1024 * 1024 * 1024) return '100MB-1GB';
+  return '>1GB';
+}
+
+function startMetricsServer({ kind, workerId }) {
+  if (!METRICS_PORT) return null;
+  registry.setDefaultLabels({ kind, worker_id: workerId });
+  client.collectDefaultMetrics({ register: registry, prefix: 'migrator_process_' });
+
+  const server = http.createServer(async (req, res) => {
+    if (req.url !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    try {
+      const body = await registry.metrics();
+      res.writeHead(200, { 'Content-Type': registry.contentType }).end(body);
+    } catch (e) {
+      res.writeHead(500).end(e.message);
+    }
+  });
+  server.listen(METRICS_PORT, () => log(`Metrics on :${METRICS_PORT}/metrics`));
+  // Never keep a finished worker alive just to be scraped.
+  server.unref();
+  return server;
+}
+
+// Gauges computed from the tables at scrape time (control.js). prom-client
+// collects metrics in parallel, so they share one RPC per scrape.
+const SNAPSHOT_MS = 1000;
+
+function tableRegistry() {
+  const reg = new client.Registry();
+  let snapshot = null;
+  let snapshotAt = 0;
+
+  function counts() {
+    if (!snapshot || Date.now() - snapshotAt > SNAPSHOT_MS) {
+      snapshotAt = Date.now();
+      snapshot = supabase.rpc('metrics_status_counts', { _stale_seconds: WORKER_STALE_SECONDS }).then(({ data, error }) => {
+        if (error) {
+          logger.warn('metrics_status_counts error', { err: error.message });
+          return null;
+        }
+        return data || [];
+      });
+    }
+    return snapshot;
+  }
+
+  function gauge(name, help, source, labelNames) {
+    return new client.Gauge({
+      name,
+      help,
+      labelNames,
+      registers: [reg],
+      async collect() {
+        const rows = await counts();
+        this.reset();
+        for (const r of rows || []) {
+          if (r.source !== source) continue;
+          this.set(Object.fromEntries(labelNames.map(l => [l, r[l]])), Number(r.n));
+        }
+      }
+    });
+  }
+
+  gauge('migrator_files', 'bunny_file_map files by status', 'files', ['status']);
+  gauge('migrator_scan_queue_dirs', 'scan_queue directories by status', 'dirs', ['status']);
+  gauge('migrator_jobs', 'migration_jobs by kind and status', 'jobs', ['kind', 'status']);
+  gauge('migrator_workers', 'Live workers (heartbeat within WORKER_STALE_SECONDS) by kind and status', 'workers', ['kind', 'status']);
+  new client.Gauge({
+    name: 'migrator_table_scrape_ok',
+    help: '1 when the table gauges could be read',
+    registers: [reg],
+    async collect() {
+      this.set((await counts()) ? 1 : 0);
+    }
+  });
+  return reg;
+}
+
+module.exports = { metrics, sizeBucket, startMetricsServer, tableRegistry };
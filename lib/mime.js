@@ -0,0 +1,94 @@
+const { Readable } = require('stream');
+const mimeTypes = require('mime-types');
+
+// Content types for files the source reports none for (Bunny mostly leaves
+// ContentType empty): by extension first, then by the file's leading bytes.
+
+const SNIFF_BYTES = 512;
+
+// [offset, signature bytes, type]; '?' in a string signature matches any byte.
+const SIGNATURES = [
+  [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], 'image/png'],
+  [0, [0xff, 0xd8, 0xff], 'image/jpeg'],
+  [0, 'GIF87a', 'image/gif'],
+  [0, 'GIF89a', 'image/gif'],
+  [0, 'RIFF????WEBP', 'image/webp'],
+  [0, 'RIFF????WAVE', 'audio/wav'],
+  [0, 'RIFF????AVI ', 'video/x-msvideo'],
+  [0, 'BM', 'image/bmp'],
+  [0, [0x00, 0x00, 0x01, 0x00], 'image/x-icon'],
+  [0, [0x49, 0x49, 0x2a, 0x00], 'image/tiff'],
+  [0, [0x4d, 0x4d, 0x00, 0x2a], 'image/tiff'],
+  [4, 'ftypavif', 'image/avif'],
+  [4, 'ftypheic', 'image/heic'],
+  [4, 'ftypqt', 'video/quicktime'],
+  [4, 'ftyp', 'video/mp4'],
+  [0, [0x1a, 0x45, 0xdf, 0xa3], 'video/webm'],
+  [0, 'ID3', 'audio/mpeg'],
+  [0, [0xff, 0xfb], 'audio/mpeg'],
+  [0, 'OggS', 'audio/ogg'],
+  [0, 'fLaC', 'audio/flac'],
+  [0, '%PDF-', 'application/pdf'],
+  [0, [0x50, 0x4b, 0x03, 0x04], 'application/zip'],
+  [0, [0x1f, 0x8b], 'application/gzip'],
+  [0, 'wOFF', 'font/woff'],
+  [0, 'wOF2', 'font/woff2']
+];
+
+function matches(head, offset, sig) {
+  const bytes = typeof sig === 'string' ? [...sig].map(c => (c === '?' ? null : c.charCodeAt(0))) : sig;
+  if (head.length < offset + bytes.length) return false;
+  return bytes.every((b, i) => b === null || head[offset + i] === b);
+}
+
+function mimeFromPath(path) {
+  return mimeTypes.lookup(path) || null;
+}
+
+function sniffMime(head) {
+  const hit = SIGNATURES.find(([offset, sig]) => matches(head, offset, sig));
+  if (hit) return hit[2];
+  const text = head.toString('utf8').trimStart().toLowerCase();
+  if (text.startsWith('<svg') || (text.startsWith('<?xml') && text.includes('<svg'))) return 'image/svg+xml';
+  if (text.startsWith('<!doctype html') || text.startsWith('<html')) return 'text/html';
+  return null;
+}
+
+// Reads just the start of a stream and lets go of the rest.
+async function readHead(stream, bytes = SNIFF_BYTES) {
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= bytes) break;
+  }
+  stream.destroy();
+  return Buffer.concat(chunks, length).subarray(0, bytes);
+}
+
+// Reads the start of a stream without losing it: `stream` is a replacement
+// that yields the head and then the rest, for whoever consumes it next.
+async function peekHead(source, bytes = SNIFF_BYTES) {
+  const it = source[Symbol.asyncIterator]();
+  const chunks = [];
+  let length = 0;
+  while (length < bytes) {
+    const { value, done } = await it.next();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+  const head = Buffer.concat(chunks, length);
+  async function* replay() {
+    if (length) yield head;
+    while (true) {
+      const { value, done } = await it.next();
+      if (done) return;
+      yield value;
+    }
+  }
+  return { head: head.subarray(0, bytes), stream: Readable.from(replay(), { objectMode: false }) };
+}
+
+module.exports = { SNIFF_BYTES, mimeFromPath, sniffMime, readHead, peekHead };
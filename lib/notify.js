@@ -0,0 +1,180 @@
+const { supabase, http } = require('./clients');
+const { logger } = require('./log');
+const {
+  WEBHOOK_URL,
+  SLACK_WEBHOOK_URL,
+  WEBHOOK_EVENTS,
+  ALERT_FAILURE_RATE,
+  ALERT_FAILURE_WINDOW_MINUTES,
+  ALERT_FAILURE_MIN_FILES,
+  ALERT_STALL_MINUTES,
+  ALERT_CHECK_MS
+} = require('../config');
+
+// Outbound notifications. WEBHOOK_URL gets a JSON body
+// { event, at, message, job, progress, details }; SLACK_WEBHOOK_URL gets the
+// same as a Slack message. WEBHOOK_EVENTS (comma-separated) narrows what is
+// sent; unset = everything. Delivery failures are logged, never thrown.
+//
+// Events: job.started, job.completed, job.failed, job.stopped (workers),
+// alert.failure_rate, alert.stalled (control.js watchdog), test.
+
+const EVENTS = ['job.started', 'job.completed', 'job.failed', 'job.stopped', 'alert.failure_rate', 'alert.stalled', 'test'];
+const SEND_TIMEOUT_MS = 10_000;
+const SEND_ATTEMPTS = 3;
+
+const wanted = WEBHOOK_EVENTS ? new Set(WEBHOOK_EVENTS.split(',').map(s => s.trim())) : null;
+
+function targets() {
+  const list = [];
+  if (WEBHOOK_URL) list.push({ format: 'json', url: WEBHOOK_URL });
+  if (SLACK_WEBHOOK_URL) list.push({ format: 'slack', url: SLACK_WEBHOOK_URL });
+  return list;
+}
+
+function slackBody(payload) {
+  const lines = [`*${payload.event}* — ${payload.message}`];
+  if (payload.job) lines.push(`${payload.job.kind} job \`${payload.job.id}\` (${payload.job.status})`);
+  const p = payload.progress;
+  if (p) lines.push(`files ${p.total_files} · migrated ${p.migrated_files} · failed ${p.failed_files} · skipped ${p.skipped_files ?? 0}`);
+  return { text: lines.join('\n') };
+}
+
+async function deliver(target, payload) {
+  const body = target.format === 'slack' ? slackBody(payload) : payload;
+  let lastError = null;
+  for (let attempt = 1; attempt <= SEND_ATTEMPTS; attempt++) {
+    try {
+      const resp = await http.post(target.url, body, { timeout: SEND_TIMEOUT_MS });
+      return { format: target.format, ok: true, status: resp.status };
+    } catch (e) {
+      lastError = e;
+      if (e.response && e.response.status < 500 && e.response.status !== 429) break;
+      await new Promise(r => setTimeout(r, 500 * attempt));
+    }
+  }
+  logger.warn('webhook delivery failed', { event: payload.event, format: target.format, err: lastError.message });
+  return { format: target.format, ok: false, status: lastError.response?.status || null, error: lastError.message };
+}
+
+async function jobProgress(jobId) {
+  const { data } = await supabase.from('migration_progress').select('*').eq('job_id', jobId).maybeSingle();
+  return data || null;
+}
+
+// notify('job.completed', { job, message, details }) → per-target results
+async function notify(event, { job = null, message = '', details = null } = {}) {
+  const list = targets();
+  if (!list.length || (wanted && event !== 'test' && !wanted.has(event))) return [];
+
+  const payload = {
+    event,
+    at: new Date().toISOString(),
+    message: message || event,
+    job: job && { id: job.id, kind: job.kind, status: job.status, mode: job.mode || null, host: job.host || null },
+    progress: job ? await jobProgress(job.id) : null,
+    details
+  };
+  return Promise.all(list.map(t => deliver(t, payload)));
+}
+
+// For workers: fire the lifecycle event matching a job status change.
+function notifyJobStatus(job, status, message) {
+  if (!['completed', 'failed', 'stopped', 'started'].includes(status)) return Promise.resolve([]);
+  return notify(`job.${status}`, {
+    job: { ...job, status: status === 'started' ? 'running' : status },
+    message: message || `${job.kind} job ${status}`
+  });
+}
+
+// reap_stale_jobs only returns a count, so compare the running jobs before
+// and after to know which ones to report.
+async function reapStaleJobs(kind, minutes) {
+  const { data: before, error: listError } = await supabase
+    .from('migration_jobs')
+    .select('id,kind,status,mode')
+    .eq('kind', kind)
+    .eq('status', 'running');
+  if (listError) throw listError;
+
+  const { data, error } = await supabase.rpc('reap_stale_jobs', { _kind: kind, minutes_threshold: minutes });
+  if (error) throw error;
+
+  if ((before || []).length) {
+    const { data: after, error: afterError } = await supabase
+      .from('migration_jobs')
+      .select('id')
+      .in('id', before.map(j => j.id))
+      .eq('status', 'failed');
+    if (afterError) throw afterError;
+    const reaped = new Set((after || []).map(j => j.id));
+    await Promise.all(before.filter(j => reaped.has(j.id)).map(j =>
+      notifyJobStatus(j, 'failed', `${kind} job reaped (no heartbeat for ${minutes} min)`)));
+  }
+  return data;
+}
+
+/**
+ * WATCHDOG (control.js): failure rate and stalled jobs. Both are
+ * edge-triggered: one alert when the condition starts, re-armed when it clears.
+ */
+let failureAlerted = false;
+const stalledJobs = new Set();
+
+async function checkFailureRate() {
+  const since = new Date(Date.now() - ALERT_FAILURE_WINDOW_MINUTES * 60_000).toISOString();
+  const { data, error } = await supabase.rpc('stats_throughput', {
+    _job_id: null,
+    _since: since,
+    _bucket_minutes: ALERT_FAILURE_WINDOW_MINUTES
+  });
+  if (error) throw error;
+  const ok = (data || []).reduce((n, r) => n + Number(r.files), 0);
+  const failed = (data || []).reduce((n, r) => n + Number(r.failed), 0);
+  const rate = ok + failed ? failed / (ok + failed) : 0;
+  const over = ok + failed >= ALERT_FAILURE_MIN_FILES && rate >= ALERT_FAILURE_RATE;
+
+  if (over && !failureAlerted) {
+    await notify('alert.failure_rate', {
+      message: `${(rate * 100).toFixed(1)}% of transfers failed in the last ${ALERT_FAILURE_WINDOW_MINUTES} min (threshold ${(ALERT_FAILURE_RATE * 100).toFixed(1)}%)`,
+      details: { failed, succeeded: ok, rate, window_minutes: ALERT_FAILURE_WINDOW_MINUTES }
+    });
+  }
+  failureAlerted = over;
+}
+
+async function checkStalled() {
+  const { data, error } = await supabase
+    .from('migration_jobs')
+    .select('id,kind,status,mode,host,migration_progress(last_update)')
+    .eq('status', 'running');
+  if (error) throw error;
+
+  const cutoff = Date.now() - ALERT_STALL_MINUTES * 60_000;
+  const running = new Set();
+  for (const job of data || []) {
+    running.add(job.id);
+    const last = new Date(job.migration_progress?.last_update || 0).getTime();
+    const stalled = last < cutoff;
+    if (stalled && !stalledJobs.has(job.id)) {
+      stalledJobs.add(job.id);
+      await notify('alert.stalled', {
+        job,
+        message: `no progress for ${ALERT_STALL_MINUTES} min`,
+        details: { last_update: job.migration_progress?.last_update || null }
+      });
+    } else if (!stalled) {
+      stalledJobs.delete(job.id);
+    }
+  }
+  for (const id of stalledJobs) if (!running.has(id)) stalledJobs.delete(id);
+}
+
+function startWatchdog() {
+  if (!targets().length) return null;
+  const tick = () => Promise.all([checkFailureRate(), checkStalled()])
+    .catch(e => logger.warn('watchdog error', { err: e.message }));
+  return setInterval(tick, ALERT_CHECK_MS);
+}
+
+module.exports = { EVENTS, notify, notifyJobStatus, reapStaleJobs, startWatchdog };
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { supabase } = require('./clients');
+const { logger } = require('./log');
+const { getDest } = require('./adapters');
+const { getRules } = require('./rules');
+const { csvRow } = require('./util');
+const { PLAN_DIR, DEST_ADAPTER, SUPABASE_BUCKET, MAX_OBJECT_BYTES, CONCURRENCY, CONFLICT_POLICY } = require('../config');
+
+// Migration plan: what `migrate-files.js` would do with the current
+// bunny_file_map, computed without moving any bytes. Written as
+// PLAN_DIR/plan-<timestamp>.{json,csv} plus latest.{json,csv}.
+
+const PAGE_SIZE = 1000;
+const LIST_LIMIT = 1000;       // per-category file lists kept in the JSON
+const DIR_CACHE_LIMIT = 500;
+const THROUGHPUT_SAMPLE = 1000;
+
+const CSV_HEADER = ['path', 'dest_path', 'size', 'prefix', 'action', 'reason'];
+
+function topPrefix(p) {
+  const i = p.indexOf('/', 1);
+  return i === -1 ? '/' : p.slice(0, i + 1);
+}
+
+async function* walkFiles(statuses) {
+  let after = null;
+  while (true) {
+    let q = supabase
+      .from('bunny_file_map')
+      .select('id,path,size,mime_type,status')
+      .eq('is_dir', false)
+      .in('status', statuses)
+      .order('path', { ascending: true })
+      .limit(PAGE_SIZE);
+    if (after !== null) q = q.gt('path', after);
+    const { data, error } = await q;
+    if (error) throw error;
+    if (!data || !data.length) return;
+    yield* data;
+    after = data[data.length - 1].path;
+  }
+}
+
+// Destination sizes by key, one listing per destination directory.
+function destIndex() {
+  const cache = new Map();
+  return async function destSize(key) {
+    const slash = key.lastIndexOf('/');
+    const dir = `/${key.slice(0, slash + 1)}`;
+    if (!cache.has(dir)) {
+      if (cache.size >= DIR_CACHE_LIMIT) cache.clear();
+      cache.set(dir, getDest().list(dir).then(items =>
+        new Map(items.filter(i => !i.isDir).map(i => [i.name, Number(i.size ?? -1)]))));
+    }
+    const byName = await cache.get(dir);
+    return byName.has(key.slice(slash + 1)) ? byName.get(key.slice(slash + 1)) : null;
+  };
+}
+
+async function sizeLimit() {
+  if (MAX_OBJECT_BYTES) return MAX_OBJECT_BYTES;
+  if (DEST_ADAPTER !== 'supabase') return null;
+  const { data, error } = await supabase.storage.getBucket(process.env.DEST_BUCKET || SUPABASE_BUCKET);
+  if (error) {
+    logger.warn('getBucket error', { err: error.message });
+    return null;
+  }
+  return data?.file_size_limit || null;
+}
+
+// Aggregate rate from recent successes: bytes over the wall-clock span they
+// cover, which already reflects however many workers were running. With too
+// little history, fall back to per-file speed × CONCURRENCY.
+async function recentThroughput() {
+  const { data, error } = await supabase
+    .from('migration_logs')
+    .select('upload_time,time_taken,bytes,bunny_file_map(size)')
+    .eq('status', 'success')
+    .order('upload_time', { ascending: false })
+    .limit(THROUGHPUT_SAMPLE);
+  if (error) throw error;
+  const rows = data || [];
+  if (!rows.length) return null;
+
+  let bytes = 0;
+  let busyMs = 0;
+  for (const r of rows) {
+    bytes += Number(r.bytes ?? r.bunny_file_map?.size ?? 0);
+    busyMs += Number(r.time_taken || 0);
+  }
+  const newest = new Date(rows[0].upload_time).getTime();
+  const oldest = new Date(rows[rows.length - 1].upload_time).getTime();
+  const spanMs = newest - oldest;
+
+  if (rows.length >= 10 && spanMs >= 60_000) {
+    return { bytes_per_sec: bytes / (spanMs / 1000), sample_files: rows.length, method: 'wall_clock' };
+  }
+  if (busyMs > 0) {
+    return { bytes_per_sec: (bytes / (busyMs / 1000)) * CONCURRENCY, sample_files: rows.length, method: 'per_file_x_concurrency' };
+  }
+  return null;
+}
+
+// Whether CONFLICT_POLICY would still upload a file given its plan action.
+// skip-if-identical is assumed to skip same-size objects; the hash is only
+// compared at migrate time.
+function wouldUpload(action) {
+  if (action === 'excluded' || action === 'over_limit') return false;
+  if (action === 'migrate' || CONFLICT_POLICY === 'overwrite') return true;
+  if (CONFLICT_POLICY === 'skip-if-identical') return action === 'exists_size_mismatch';
+  return false;
+}
+
+async function buildPlan({ statuses = ['pending'], checkDest = true, outDir = PLAN_DIR, onProgress } = {}) {
+  const rules = getRules();
+  const limit = await sizeLimit();
+  const destSize = checkDest ? destIndex() : null;
+  const generatedAt = new Date().toISOString();
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const stamp = generatedAt.replace(/[:.]/g, '-');
+  const csvPath = path.join(outDir, `plan-${stamp}.csv`);
+  const csv = fs.createWriteStream(csvPath);
+  csv.write(csvRow(CSV_HEADER));
+
+  const totals = { files: 0, bytes: 0, migrate_files: 0, migrate_bytes: 0, excluded_files: 0, excluded_bytes: 0 };
+  const prefixes = new Map();
+  const existing = { same_size: 0, size_mismatch: 0, same_size_bytes: 0, mismatched: [] };
+  const overLimit = { limit_bytes: limit, files: 0, bytes: 0, list: [] };
+
+  for await (const file of walkFiles(statuses)) {
+    const size = Number(file.size || 0);
+    const prefix = topPrefix(file.path);
+    const dest = rules.destPath(file.path);
+    totals.files += 1;
+    totals.bytes += size;
+
+    let action = 'migrate';
+    let reason = '';
+    const excluded = rules.check(file);
+    if (excluded) {
+      action = 'excluded';
+      reason = excluded;
+      totals.excluded_files += 1;
+      totals.excluded_bytes += size;
+    } else if (limit && size > limit) {
+      action = 'over_limit';
+      reason = `${size} > ${limit}`;
+      overLimit.files += 1;
+      overLimit.bytes += size;
+      if (overLimit.list.length < LIST_LIMIT) overLimit.list.push({ path: file.path, size });
+    } else if (destSize) {
+      const have = await destSize(dest);
+      if (have !== null && have === size) {
+        action = 'exists_same_size';
+        existing.same_size += 1;
+        existing.same_size_bytes += size;
+      } else if (have !== null) {
+        action = 'exists_size_mismatch';
+        reason = `dest size ${have}`;
+        existing.size_mismatch += 1;
+        if (existing.mismatched.length < LIST_LIMIT) existing.mismatched.push({ path: file.path, dest_path: dest, size, dest_size: have });
+      }
+    }
+
+    if (action !== 'excluded') {
+      const p = prefixes.get(prefix) || { prefix, files: 0, bytes: 0 };
+      p.files += 1;
+      p.bytes += size;
+      prefixes.set(prefix, p);
+      if (wouldUpload(action)) {
+        totals.migrate_files += 1;
+        totals.migrate_bytes += size;
+      }
+    }
+
+    if (!csv.write(csvRow([file.path, dest, size, prefix, action, reason]))) {
+      await new Promise(r => csv.once('drain', r));
+    }
+    if (onProgress && totals.files % 10_000 === 0) onProgress(totals);
+  }
+  await new Promise((resolve, reject) => csv.end(err => (err ? reject(err) : resolve())));
+
+  const throughput = await recentThroughput();
+  const estimate = throughput
+    ? { ...throughput, seconds: Math.round(totals.migrate_bytes / throughput.bytes_per_sec) }
+    : null;
+
+  const plan = {
+    generated_at: generatedAt,
+    statuses,
+    dest_checked: !!destSize,
+    conflict_policy: CONFLICT_POLICY,
+    totals,
+    prefixes: [...prefixes.values()].sort((a, b) => b.bytes - a.bytes),
+    existing,
+    over_limit: overLimit,
+    estimate,
+    csv: path.basename(csvPath)
+  };
+
+  const jsonPath = path.join(outDir, `plan-${stamp}.json`);
+  fs.writeFileSync(jsonPath, JSON.stringify(plan, null, 2));
+  fs.copyFileSync(jsonPath, path.join(outDir, 'latest.json'));
+  fs.copyFileSync(csvPath, path.join(outDir, 'latest.csv'));
+  return { plan, jsonPath, csvPath };
+}
+
+module.exports = { buildPlan };
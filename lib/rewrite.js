@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const pLimit = require('p-limit');
+const { supabase } = require('./clients');
+const { csvRow } = require('./util');
+const {
+  BUNNY_REGION_BASE,
+  BUNNY_STORAGE_ZONE,
+  BUNNY_CDN_HOSTS,
+  SUPABASE_BUCKET,
+  REWRITE_BATCH_SIZE,
+  CONCURRENCY,
+  PLAN_DIR
+} = require('../config');
+
+// Rewrites Bunny URLs in application tables to the Supabase public URLs of
+// the migrated objects. Targets are "[schema.]table.column[:key]" (key
+// defaults to id); text and jsonb columns are both handled as text.
+//
+// A URL is rewritten only when its file reached the destination (migrated or
+// skipped); the query string and fragment are kept. Each changed value is
+// recorded in url_rewrite_log before it is written, so a run can be reverted.
+
+const AT_DEST = ['migrated', 'skipped'];
+const LOOKUP_CHUNK = 100;
+const REPORT_HEADER = ['table', 'column', 'key', 'old_url', 'new_url', 'result'];
+
+function parseTargets(spec) {
+  return (spec || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [ref, key = 'id'] = entry.split(':');
+      const parts = ref.split('.');
+      if (parts.length < 2 || parts.length > 3 || parts.some(p => !p)) {
+        throw new Error(`Invalid rewrite target "${entry}" (expected [schema.]table.column[:key])`);
+      }
+      const column = parts.pop();
+      return { table: parts.join('.'), column, key };
+    });
+}
+
+// Hosts (and storage prefix) whose URLs point at the old files, without scheme.
+function sourcePrefixes() {
+  const hosts = (BUNNY_CDN_HOSTS || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (BUNNY_STORAGE_ZONE) hosts.push(`${BUNNY_REGION_BASE.replace(/^https?:\/\//, '')}/${BUNNY_STORAGE_ZONE}`);
+  return hosts;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Absolute or protocol-relative URL under one of the prefixes; group 1 is the
+// path, group 2 the query/fragment.
+function urlPattern(prefixes) {
+  const alt = prefixes.map(escapeRegExp).join('|');
+  return new RegExp(`(?:https?:)?//(?:${alt})(/[^\\s"'<>()\\\\?#]*)([?#][^\\s"'<>()\\\\]*)?`, 'gi');
+}
+
+function decodePath(p) {
+  try { return decodeURIComponent(p); } catch (_) { return p; }
+}
+
+// path → public URL (or null) for the file paths referenced in a page of rows.
+async function lookup(paths, cache) {
+  const missing = [...new Set(paths)].filter(p => !cache.has(p));
+  for (let i = 0; i < missing.length; i += LOOKUP_CHUNK) {
+    const chunk = missing.slice(i, i + LOOKUP_CHUNK);
+    const { data, error } = await supabase
+      .from('bunny_file_map')
+      .select('path,dest_path,status')
+      .eq('is_dir', false)
+      .in('path', chunk);
+    if (error) throw error;
+    for (const p of chunk) cache.set(p, null);
+    const storage = supabase.storage.from(SUPABASE_BUCKET);
+    for (const f of data || []) {
+      if (!AT_DEST.includes(f.status)) continue;
+      const dest = f.dest_path || f.path.replace(/^\//, '');
+      cache.set(f.path, storage.getPublicUrl(dest).data.publicUrl);
+    }
+  }
+  return cache;
+}
+
+function referencedPaths(value, pattern) {
+  return [...value.matchAll(pattern)].map(m => decodePath(m[1]));
+}
+
+// Returns the rewritten value and what happened to each URL in it.
+function rewriteValue(value, pattern, urls) {
+  const found = [];
+  const next = value.replace(pattern, (url, p, suffix = '') => {
+    const to = urls.get(decodePath(p));
+    found.push({ url, to: to ? to + suffix : null });
+    return to ? to + suffix : url;
+  });
+  return { value: next, found };
+}
+
+async function* scanTarget(target, patterns) {
+  let after = null;
+  while (true) {
+    const { data, error } = await supabase.rpc('url_rewrite_scan', {
+      _table: target.table,
+      _column: target.column,
+      _key: target.key,
+      _patterns: patterns,
+      _after: after,
+      _limit: REWRITE_BATCH_SIZE
+    });
+    if (error) throw error;
+    if (!data || !data.length) return;
+    yield data;
+    if (data.length < REWRITE_BATCH_SIZE) return;
+    after = data[data.length - 1].key_value;
+  }
+}
+
+// Scans every target; with apply, writes the rewritten values. Writes a CSV
+// report of every URL found to PLAN_DIR/rewrite-<timestamp>.csv.
+async function rewriteUrls({ targets, apply = false, runId, onProgress } = {}) {
+  if (!targets.length) throw new Error('No rewrite targets (set REWRITE_TARGETS or pass --targets)');
+  const prefixes = sourcePrefixes();
+  if (!prefixes.length) throw new Error('No Bunny URL prefixes (set BUNNY_CDN_HOSTS and/or BUNNY_STORAGE_ZONE)');
+  const pattern = urlPattern(prefixes);
+  const likePatterns = prefixes.map(p => `%${p.replace(/[\\%_]/g, '\\$&')}%`);
+  const cache = new Map();
+  const limit = pLimit(CONCURRENCY);
+
+  fs.mkdirSync(PLAN_DIR, { recursive: true });
+  const reportPath = path.join(PLAN_DIR, `rewrite-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`);
+  const report = fs.createWriteStream(reportPath);
+  const writeReport = async (values) => {
+    if (!report.write(csvRow(values))) await new Promise(r => report.once('drain', r));
+  };
+  await writeReport(REPORT_HEADER);
+
+  const results = [];
+  for (const target of targets) {
+    const totals = { ...target, rows: 0, urls: 0, unmapped: 0, changed_rows: 0, conflicts: 0 };
+    results.push(totals);
+
+    for await (const page of scanTarget(target, likePatterns)) {
+      await lookup(page.flatMap(r => referencedPaths(r.value, pattern)), cache);
+
+      const changes = [];
+      for (const row of page) {
+        totals.rows += 1;
+        const { value, found } = rewriteValue(row.value, pattern, cache);
+        for (const f of found) {
+          totals.urls += 1;
+          if (!f.to) totals.unmapped += 1;
+          await writeReport([target.table, target.column, row.key_value, f.url, f.to, f.to ? (apply ? 'rewritten' : 'would_rewrite') : 'not_migrated']);
+        }
+        if (value !== row.value) {
+          changes.push({ row, value, urls: found.filter(f => f.to).length });
+        }
+      }
+
+      if (apply && changes.length) {
+        const { data: logged, error } = await supabase
+          .from('url_rewrite_log')
+          .insert(changes.map(c => ({
+            run_id: runId,
+            table_name: target.table,
+            column_name: target.column,
+            key_column: target.key,
+            key_value: c.row.key_value,
+            old_value: c.row.value,
+            new_value: c.value,
+            urls: c.urls
+          })))
+          .select('id,key_value');
+        if (error) throw error;
+        const logId = new Map(logged.map(l => [l.key_value, l.id]));
+
+        const applied = [];
+        await Promise.all(changes.map(c => limit(async () => {
+          const { data: ok, error: setError } = await supabase.rpc('url_rewrite_set', {
+            _table: target.table,
+            _column: target.column,
+            _key: target.key,
+            _key_value: c.row.key_value,
+            _old: c.row.value,
+            _new: c.value
+          });
+          if (setError) throw setError;
+          if (ok) applied.push(logId.get(c.row.key_value)); else totals.conflicts += 1;
+        })));
+        if (applied.length) {
+          const { error: markError } = await supabase
+            .from('url_rewrite_log')
+            .update({ applied_at: new Date().toISOString() })
+            .in('id', applied);
+          if (markError) throw markError;
+        }
+        totals.changed_rows += applied.length;
+      } else {
+        totals.changed_rows += changes.length;
+      }
+      if (onProgress) onProgress(totals);
+    }
+  }
+
+  await new Promise((resolve, reject) => report.end(err => (err ? reject(err) : resolve())));
+  return { results, reportPath };
+}
+
+// Puts back the old values of a run, newest first; values edited since the
+// run are left alone and counted as conflicts.
+async function revertRun(runId) {
+  const limit = pLimit(CONCURRENCY);
+  const totals = { reverted: 0, conflicts: 0 };
+  while (true) {
+    const { data, error } = await supabase
+      .from('url_rewrite_log')
+      .select('*')
+      .eq('run_id', runId)
+      .not('applied_at', 'is', null)
+      .is('reverted_at', null)
+      .order('id', { ascending: false })
+      .limit(REWRITE_BATCH_SIZE);
+    if (error) throw error;
+    if (!data || !data.length) return totals;
+
+    await Promise.all(data.map(entry => limit(async () => {
+      const { data: ok, error: setError } = await supabase.rpc('url_rewrite_set', {
+        _table: entry.table_name,
+        _column: entry.column_name,
+        _key: entry.key_column,
+        _key_value: entry.key_value,
+        _old: entry.new_value,
+        _new: entry.old_value
+      });
+      if (setError) throw setError;
+      if (ok) totals.reverted += 1; else totals.conflicts += 1;
+    })));
+    // Conflicting entries are closed too, or the loop would see them again.
+    const { error: markError } = await supabase
+      .from('url_rewrite_log')
+      .update({ reverted_at: new Date().toISOString() })
+      .in('id', data.map(e => e.id));
+    if (markError) throw markError;
+  }
+}
+
+module.exports = { parseTargets, sourcePrefixes, urlPattern, rewriteValue, rewriteUrls, revertRun };
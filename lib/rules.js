@@ -0,0 +1,127 @@
+const fs = require('fs');
+const { RULES_FILE } = require('../config');
+const { toStoragePath } = require('./util');
+
+// Path rules (RULES_FILE, JSON). Every key is optional:
+// {
+//   "include": ["/uploads/**"],            // only these paths (globs)
+//   "exclude": ["**/.thumbs/**", "**/*.tmp"],
+//   "minSize": 1,                           // bytes, inclusive
+//   "maxSize": 5368709120,
+//   "mimeTypes": ["image/*", "video/mp4"],  // allow-list; files without a type never match it
+//   "excludeMimeTypes": ["application/x-msdownload"],
+//   "rewrites": [{ "from": "/uploads/2019/", "to": "archive/2019/" }],
+//   "cacheControl": [{ "match": "/static/**", "maxAge": 31536000 }]
+// }
+// Globs: '**' crosses '/', '*' and '?' do not; '[abc]', '[!abc]' and
+// '{a,b}' work as in a shell. Rewrites are prefix
+// replacements; the first match wins, otherwise the leading '/' is dropped.
+// cacheControl sets the Cache-Control max-age (seconds) of uploaded objects;
+// the first matching glob wins, otherwise the destination's default applies.
+
+// Anchored regex source for a glob. Job scopes (lib/scope.js) use the same
+// source as a Postgres regex, so it is kept to constructs both understand.
+function globPattern(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // '/**/' also matches '/'
+      if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; } else { re += '.*'; i += 1; }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) { re += '\\['; continue; }
+      let body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      if (body[0] === '!') body = `^${body.slice(1)}`;
+      re += `[${body}]`;
+      i = end;
+    } else if (c === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) { re += '\\{'; continue; }
+      re += `(?:${glob.slice(i + 1, end).split(',').map(globPattern).map(s => s.slice(1, -1)).join('|')})`;
+      i = end;
+    } else {
+      re += /[.+^${}()|\\\]]/.test(c) ? `\\${c}` : c;
+    }
+  }
+  return `^${re}$`;
+}
+
+function globToRegExp(glob) {
+  return new RegExp(globPattern(glob));
+}
+
+// Everything before the first wildcard, e.g. '/uploads/' for '/uploads/**'.
+function literalPrefix(glob) {
+  const i = glob.search(/[*?[{]/);
+  return i === -1 ? glob : glob.slice(0, i);
+}
+
+function mimeMatches(pattern, mime) {
+  if (!mime) return false;
+  const base = mime.split(';')[0].trim().toLowerCase();
+  const p = pattern.toLowerCase();
+  return p.endsWith('/*') ? base.startsWith(p.slice(0, -1)) : base === p;
+}
+
+function compileRules(spec = {}) {
+  const include = (spec.include || []).map(g => ({ glob: g, re: globToRegExp(g), prefix: literalPrefix(g) }));
+  const exclude = (spec.exclude || []).map(g => ({ glob: g, re: globToRegExp(g) }));
+  const mimeTypes = spec.mimeTypes || [];
+  const excludeMimeTypes = spec.excludeMimeTypes || [];
+  const rewrites = spec.rewrites || [];
+  const cacheRules = (spec.cacheControl || []).map(r => ({ re: globToRegExp(r.match), maxAge: r.maxAge }));
+  const minSize = spec.minSize ?? null;
+  const maxSize = spec.maxSize ?? null;
+
+  // Dirs are only pruned, never filtered by include: a dir is worth
+  // crawling as long as some include could still match below it.
+  function allowsDir(dirPath) {
+    if (exclude.some(x => x.re.test(dirPath))) return false;
+    if (!include.length) return true;
+    return include.some(x => x.prefix.startsWith(dirPath) || dirPath.startsWith(x.prefix));
+  }
+
+  // Returns null when the file should be migrated, otherwise why not.
+  function check({ path, size, mime_type: mime }) {
+    const ex = exclude.find(x => x.re.test(path));
+    if (ex) return `excluded by ${ex.glob}`;
+    if (include.length && !include.some(x => x.re.test(path))) return 'not matched by include';
+    if (minSize !== null && Number(size || 0) < minSize) return `smaller than minSize ${minSize}`;
+    if (maxSize !== null && Number(size || 0) > maxSize) return `larger than maxSize ${maxSize}`;
+    if (mimeTypes.length && !mimeTypes.some(p => mimeMatches(p, mime))) return `mime ${mime || 'unknown'} not allowed`;
+    const exMime = excludeMimeTypes.find(p => mimeMatches(p, mime));
+    if (exMime) return `mime excluded by ${exMime}`;
+    return null;
+  }
+
+  function destPath(path) {
+    const rw = rewrites.find(r => path.startsWith(r.from));
+    return rw ? toStoragePath(rw.to + path.slice(rw.from.length)) : toStoragePath(path);
+  }
+
+  function cacheControl(path) {
+    const rule = cacheRules.find(r => r.re.test(path));
+    return rule ? rule.maxAge : null;
+  }
+
+  return { allowsDir, check, destPath, cacheControl };
+}
+
+let cached = null;
+
+function loadRules(file = RULES_FILE) {
+  if (!file) return compileRules();
+  return compileRules(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function getRules() {
+  if (!cached) cached = loadRules();
+  return cached;
+}
+
+module.exports = { globPattern, globToRegExp, compileRules, loadRules, getRules };
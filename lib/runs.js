@@ -0,0 +1,222 @@
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { supabase } = require('./clients');
+const { logger } = require('./log');
+const { parseCron, matches, nextRun } = require('./cron');
+const { checkScope } = require('./scope');
+
+// Worker processes launched by control.js (migration_runs) and the
+// migration_schedules that launch them on a cron. Each run is one child
+// process of control.js with its parameters passed as environment; when it
+// exits the run takes its job's final status (completed / failed / stopped),
+// or failed when the process died before finishing its job.
+
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPTS = { discover: 'discover-files.js', migrate: 'migrate-files.js', verify: 'verify-files.js' };
+const MAX_PROCESSES = 16;
+const STOP_WAIT_MS = 15_000;
+const SCHEDULE_CHECK_MS = 30_000;
+
+// Run parameter → environment variable, per kind.
+const PARAM_ENV = {
+  discover: { concurrency: 'DISCOVER_CONCURRENCY', batch_size: 'DISCOVER_INSERT_BATCH', prefix: 'PATH_PREFIX' },
+  migrate: { concurrency: 'CONCURRENCY', batch_size: 'BATCH_SIZE', prefix: 'PATH_PREFIX' },
+  verify: { concurrency: 'CONCURRENCY', batch_size: 'VERIFY_BATCH_SIZE', prefix: 'PATH_PREFIX' }
+};
+
+const children = new Map();   // run id → ChildProcess
+
+function checkRun(kind, params = {}) {
+  if (!SCRIPTS[kind]) return `Invalid kind "${kind}" (expected ${Object.keys(SCRIPTS).join(' | ')})`;
+  for (const k of ['concurrency', 'batch_size', 'processes']) {
+    if (params[k] === undefined || params[k] === null || params[k] === '') continue;
+    const n = Number(params[k]);
+    if (!Number.isInteger(n) || n < 1) return `Invalid ${k}`;
+  }
+  if (Number(params.processes || 1) > MAX_PROCESSES) return `processes is limited to ${MAX_PROCESSES}`;
+  if (params.prefix !== undefined && params.prefix !== null && typeof params.prefix !== 'string') return 'Invalid prefix';
+  if (params.resync && kind !== 'discover') return 'resync only applies to discover';
+  if (params.priority !== undefined && params.priority !== null && params.priority !== '') {
+    const n = Number(params.priority);
+    if (!Number.isInteger(n) || n < 0) return 'Invalid priority';
+    if (kind !== 'migrate') return 'priority only applies to migrate';
+  }
+  return checkScope(params.scope, kind);
+}
+
+// Only the known parameters are kept (they end up in migration_runs.params).
+function cleanParams(params = {}) {
+  const out = {};
+  for (const k of ['concurrency', 'batch_size', 'processes']) if (params[k]) out[k] = Number(params[k]);
+  if (params.prefix) out.prefix = params.prefix;
+  if (params.resync) out.resync = true;
+  if (params.scope && Object.keys(params.scope).length) out.scope = params.scope;
+  if (Number(params.priority) > 0) out.priority = Number(params.priority);
+  return out;
+}
+
+async function finishRun(runId, { code, signal, error }) {
+  children.delete(runId);
+  const { data: jobs, error: jobsError } = await supabase.from('migration_jobs').select('status').eq('run_id', runId);
+  // Without the job the status falls back to the exit code.
+  if (jobsError) logger.warn('run job lookup error', { run_id: runId, err: jobsError.message });
+  const jobStatus = (jobs || []).map(j => j.status).find(s => ['completed', 'failed', 'stopped'].includes(s));
+  const status = jobStatus || (code === 0 ? 'completed' : signal ? 'stopped' : 'failed');
+
+  const { error: updError } = await supabase
+    .from('migration_runs')
+    .update({
+      status,
+      exit_code: code ?? null,
+      error: error || (signal ? `killed by ${signal}` : code ? `exit code ${code}` : null),
+      ended_at: new Date().toISOString()
+    })
+    .eq('id', runId);
+  if (updError) logger.warn('run update error', { run_id: runId, err: updError.message });
+  logger.info(`RUN ${runId} ${status}`, { run_id: runId, code, signal });
+}
+
+async function launchOne(kind, params, { requestedBy = null, scheduleId = null } = {}) {
+  const { data: run, error } = await supabase
+    .from('migration_runs')
+    .insert({ kind, params, requested_by: requestedBy, schedule_id: scheduleId, host: os.hostname() })
+    .select()
+    .single();
+  if (error) throw error;
+
+  const env = { ...process.env, MIGRATION_RUN_ID: run.id };
+  for (const [param, name] of Object.entries(PARAM_ENV[kind])) {
+    if (params[param] !== undefined) env[name] = String(params[param]);
+  }
+  if (params.scope) env.JOB_SCOPE = JSON.stringify(params.scope);
+  if (params.priority) env.JOB_PRIORITY = String(params.priority);
+  const args = [SCRIPTS[kind], ...(params.resync ? ['--resync'] : [])];
+
+  // Workers write their own LOG_FILE lines; their console goes to ours.
+  const child = spawn(process.execPath, args, { cwd: ROOT, env, stdio: ['ignore', 'inherit', 'inherit'] });
+  children.set(run.id, child);
+  // 'error' (spawn failed) may or may not be followed by 'exit'.
+  let ended = false;
+  const end = (result) => {
+    if (ended) return;
+    ended = true;
+    finishRun(run.id, result).catch(e => logger.warn('run update error', { run_id: run.id, err: e.message }));
+  };
+  child.once('error', e => end({ code: null, error: e.message }));
+  child.once('exit', (code, signal) => end({ code, signal }));
+
+  const { error: pidError } = await supabase.from('migration_runs').update({ pid: child.pid }).eq('id', run.id);
+  if (pidError) logger.warn('run update error', { run_id: run.id, err: pidError.message });
+  logger.info(`RUN ${run.id} launched ${kind}`, { run_id: run.id, pid: child.pid, params });
+  return { ...run, pid: child.pid };
+}
+
+// Launches params.processes (default 1) processes; one run each.
+async function launch(kind, params = {}, opts = {}) {
+  const clean = cleanParams(params);
+  const runs = [];
+  for (let i = 0; i < (clean.processes || 1); i++) runs.push(await launchOne(kind, clean, opts));
+  return runs;
+}
+
+// SIGTERM lets the worker release its claims and mark its job stopped.
+function stopRun(runId) {
+  const child = children.get(runId);
+  if (!child) return false;
+  child.kill('SIGTERM');
+  return true;
+}
+
+// control.js shutdown: stop every child and give them STOP_WAIT_MS to exit.
+async function stopAll() {
+  const waiting = [...children.values()].map(child => new Promise(resolve => {
+    child.once('exit', resolve);
+    child.kill('SIGTERM');
+  }));
+  if (!waiting.length) return;
+  await Promise.race([Promise.all(waiting), new Promise(r => setTimeout(r, STOP_WAIT_MS))]);
+}
+
+// Runs left 'running' on this host by an earlier control.js: still going if
+// the process is alive (it just is not supervised any more), else failed.
+async function recoverRuns() {
+  const { data, error } = await supabase
+    .from('migration_runs')
+    .select('id,pid')
+    .eq('status', 'running')
+    .eq('host', os.hostname());
+  if (error) throw error;
+  for (const run of data || []) {
+    let alive = false;
+    try { alive = !!run.pid && process.kill(run.pid, 0); } catch (_) { alive = false; }
+    if (alive) {
+      logger.warn(`RUN ${run.id} (pid ${run.pid}) outlived the previous control.js; no longer supervised`, { run_id: run.id });
+      continue;
+    }
+    await finishRun(run.id, { code: null, error: 'control.js restarted while the run was active' });
+  }
+}
+
+/**
+ * SCHEDULES
+ */
+
+function withNextRun(schedule) {
+  let next = null;
+  try { next = schedule.enabled ? nextRun(parseCron(schedule.cron)) : null; } catch (_) { next = null; }
+  return { ...schedule, next_run_at: next && next.toISOString() };
+}
+
+async function fireSchedule(schedule, minute) {
+  // Claim this minute; with several control.js instances only one wins.
+  const { data: claimed, error } = await supabase
+    .from('migration_schedules')
+    .update({ last_run_at: minute.toISOString() })
+    .eq('id', schedule.id)
+    .or(`last_run_at.is.null,last_run_at.lt.${minute.toISOString()}`)
+    .select('id');
+  if (error) throw error;
+  if (!claimed.length) return;
+
+  if (schedule.last_run_id) {
+    const { data: prev } = await supabase.from('migration_runs').select('status').eq('id', schedule.last_run_id).maybeSingle();
+    if (prev && prev.status === 'running') {
+      logger.warn(`SCHEDULE ${schedule.name}: previous run still active, skipped`, { schedule_id: schedule.id });
+      return;
+    }
+  }
+
+  const runs = await launch(schedule.kind, schedule.params || {}, { requestedBy: `schedule:${schedule.name}`, scheduleId: schedule.id });
+  const { error: updError } = await supabase
+    .from('migration_schedules')
+    .update({ last_run_id: runs[0].id })
+    .eq('id', schedule.id);
+  if (updError) logger.warn('schedule update error', { schedule_id: schedule.id, err: updError.message });
+}
+
+async function checkSchedules() {
+  const minute = new Date();
+  minute.setSeconds(0, 0);
+  const { data, error } = await supabase.from('migration_schedules').select('*').eq('enabled', true);
+  if (error) throw error;
+  for (const schedule of data || []) {
+    let cron;
+    try { cron = parseCron(schedule.cron); } catch (e) {
+      logger.warn(`SCHEDULE ${schedule.name}: ${e.message}`, { schedule_id: schedule.id });
+      continue;
+    }
+    if (!matches(cron, minute)) continue;
+    if (schedule.last_run_at && new Date(schedule.last_run_at) >= minute) continue;
+    await fireSchedule(schedule, minute).catch(e =>
+      logger.warn(`SCHEDULE ${schedule.name} launch failed`, { schedule_id: schedule.id, err: e.message }));
+  }
+}
+
+function startScheduler() {
+  return setInterval(() => {
+    checkSchedules().catch(e => logger.warn('schedule check error', { err: e.message }));
+  }, SCHEDULE_CHECK_MS);
+}
+
+module.exports = { checkRun, launch, stopRun, stopAll, recoverRuns, withNextRun, startScheduler };
@@ -0,0 +1,107 @@
+const { supabase } = require('./clients');
+const { normalizePrefix } = require('./util');
+const { globPattern } = require('./rules');
+const { JOB_SCOPE, JOB_PRIORITY, PATH_PREFIX } = require('../config');
+
+// Job scope: which files a job works on, stored on migration_jobs.scope and
+// applied by the claim RPCs (public.file_in_scope). Every given part must
+// match:
+//   { prefix: '/customers/acme/' }          path starts with
+//   { glob: '/media/**/*.mp4' }             * and ? stay within one directory, ** crosses them
+//   { ids: ['<uuid>', …] }                  bunny_file_map ids
+//   { filter_id | filter_name }             a saved /files filter { status, category, q }
+//   { retry_failed: true }                  failed files are claimable too (implied by a failed-status filter)
+// JOB_SCOPE (JSON) and PATH_PREFIX set it for one worker process.
+
+const MAX_IDS = 10_000;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CLAIMABLE = ['pending', 'failed'];
+
+// Longest directory before the first wildcard: where a crawl for a glob starts.
+function globRoot(glob) {
+  const wild = glob.search(/[*?[{]/);
+  const fixed = wild === -1 ? glob : glob.slice(0, wild);
+  return fixed.slice(0, fixed.lastIndexOf('/') + 1) || '/';
+}
+
+function checkScope(scope, kind = 'migrate') {
+  if (scope === null || scope === undefined) return null;
+  if (typeof scope !== 'object' || Array.isArray(scope)) return 'scope must be an object';
+  const known = ['prefix', 'glob', 'ids', 'filter_id', 'filter_name', 'filter', 'retry_failed'];
+  const unknown = Object.keys(scope).filter(k => !known.includes(k));
+  if (unknown.length) return `Unknown scope field ${unknown.join(', ')}`;
+  if (scope.prefix !== undefined && typeof scope.prefix !== 'string') return 'scope.prefix must be a string';
+  if (scope.glob !== undefined && (typeof scope.glob !== 'string' || !scope.glob.startsWith('/'))) return 'scope.glob must be an absolute path pattern';
+  if (scope.ids !== undefined) {
+    if (!Array.isArray(scope.ids) || !scope.ids.length) return 'scope.ids must be a non-empty array';
+    if (scope.ids.length > MAX_IDS) return `scope.ids is limited to ${MAX_IDS} ids`;
+    if (!scope.ids.every(id => UUID_RE.test(id))) return 'scope.ids must be file ids (uuid)';
+  }
+  if (scope.filter?.status && !CLAIMABLE.includes(scope.filter.status)) {
+    return `A scope filter can only select ${CLAIMABLE.join(' or ')} files`;
+  }
+  if (kind === 'discover' && (scope.ids || scope.filter_id || scope.filter_name || scope.filter)) {
+    return 'A discover scope takes a prefix or a glob';
+  }
+  // Saved filters select files to migrate; verify checks migrated ones.
+  if (kind === 'verify' && (scope.filter_id || scope.filter_name || scope.filter || scope.retry_failed)) {
+    return 'A verify scope takes a prefix, a glob or ids';
+  }
+  return null;
+}
+
+// Normalized form stored on the job: saved filters resolved (later edits do
+// not change a running job) and the glob compiled for Postgres.
+async function resolveScope(scope) {
+  if (!scope) return null;
+  const out = { ...scope };
+  if (out.prefix) out.prefix = normalizePrefix(out.prefix);
+  if (!out.prefix) delete out.prefix;
+  if (out.glob) out.regex = globPattern(out.glob);
+
+  if (out.filter_id || out.filter_name) {
+    let q = supabase.from('file_filters').select('id,name,filter');
+    q = out.filter_id ? q.eq('id', out.filter_id) : q.eq('name', out.filter_name);
+    const { data, error } = await q.maybeSingle();
+    if (error) throw error;
+    if (!data) throw new Error(`Unknown saved filter ${out.filter_id || out.filter_name}`);
+    out.filter_id = data.id;
+    out.filter_name = data.name;
+    out.filter = data.filter;
+  }
+  if (out.filter) {
+    out.filter = Object.fromEntries(['status', 'category', 'q'].filter(k => out.filter[k]).map(k => [k, out.filter[k]]));
+    if (out.filter.status && !CLAIMABLE.includes(out.filter.status)) {
+      throw new Error(`Saved filter selects ${out.filter.status} files; only ${CLAIMABLE.join(' or ')} can be migrated`);
+    }
+    if (out.filter.status === 'failed') out.retry_failed = true;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// This process's scope and priority (JOB_SCOPE, PATH_PREFIX, JOB_PRIORITY).
+async function jobScope(kind) {
+  let scope = null;
+  if (JOB_SCOPE) {
+    try { scope = JSON.parse(JOB_SCOPE); } catch (e) { throw new Error(`JOB_SCOPE is not valid JSON: ${e.message}`); }
+  }
+  if (PATH_PREFIX) scope = { ...scope, prefix: PATH_PREFIX };
+  const invalid = checkScope(scope, kind);
+  if (invalid) throw new Error(invalid);
+  return { scope: await resolveScope(scope), priority: JOB_PRIORITY };
+}
+
+// Human-readable one-liner for logs and job notes.
+function describeScope(scope) {
+  if (!scope) return 'all files';
+  const parts = [];
+  if (scope.prefix) parts.push(`prefix ${scope.prefix}`);
+  if (scope.glob) parts.push(`glob ${scope.glob}`);
+  if (scope.ids) parts.push(`${scope.ids.length} ids`);
+  if (scope.filter_name) parts.push(`filter "${scope.filter_name}"`);
+  else if (scope.filter) parts.push(`filter ${JSON.stringify(scope.filter)}`);
+  if (scope.retry_failed) parts.push('incl. failed');
+  return parts.join(', ');
+}
+
+module.exports = { globRoot, checkScope, resolveScope, jobScope, describeScope };
@@ -0,0 +1,153 @@
+const { Transform, pipeline } = require('stream');
+const { supabase } = require('./clients');
+const { log, logger } = require('./log');
+const { sleep } = require('./util');
+const { httpStatus, retryAfterMs } = require('./errors');
+const { metrics } = require('./metrics');
+const { THROTTLE_REFRESH_MS, THROTTLE_CHUNK_BYTES } = require('../config');
+
+// Shared request/byte budgets live in migration_throttle (one row per side:
+// 'source', 'dest'). acquire_throttle() is a token bucket that hands out
+// reservations: it always deducts and tells the caller how long to wait, so
+// every worker on every host queues behind the same budget.
+
+const DEFAULT_BACKOFF_SECONDS = 5;
+
+let limits = new Map();
+let loadedAt = 0;
+let loading = null;
+let warned = false;
+
+async function loadLimits() {
+  const { data, error } = await supabase.from('migration_throttle').select('*');
+  if (error) {
+    if (!warned) logger.warn('throttle disabled, cannot read migration_throttle', { err: error.message });
+    warned = true;
+    limits = new Map();
+  } else {
+    limits = new Map((data || []).map(r => [r.name, r]));
+  }
+  loadedAt = Date.now();
+}
+
+async function getLimit(name) {
+  if (Date.now() - loadedAt > THROTTLE_REFRESH_MS) {
+    loading = loading || loadLimits().finally(() => { loading = null; });
+    await loading;
+  }
+  return limits.get(name) || null;
+}
+
+function backoffRemaining(row) {
+  return row?.backoff_until ? new Date(row.backoff_until).getTime() - Date.now() : 0;
+}
+
+async function acquire(name, { bytes = 0, requests = 0 } = {}) {
+  const row = await getLimit(name);
+  if (!row) return;
+
+  if (!row.bytes_per_sec && !row.requests_per_sec) {
+    const wait = backoffRemaining(row);
+    if (wait > 0) await sleep(wait);
+    return;
+  }
+
+  const { data, error } = await supabase.rpc('acquire_throttle', {
+    _name: name,
+    _bytes: bytes,
+    _requests: requests
+  });
+  if (error) {
+    // Never stall a transfer because the budget table is unreachable.
+    logger.warn('acquire_throttle error', { err: error.message });
+    return;
+  }
+  if (data > 0) await sleep(data);
+}
+
+function retryAfterSeconds(err) {
+  const ms = retryAfterMs(err);
+  return ms === null ? DEFAULT_BACKOFF_SECONDS : ms / 1000;
+}
+
+function isRateLimited(err) {
+  return [429, 503].includes(httpStatus(err));
+}
+
+// Pushes backoff_until for everyone; the local copy is updated right away so
+// this process does not wait for the next refresh to notice.
+async function noteRateLimit(name, err) {
+  if (!isRateLimited(err)) return;
+  err.rateLimited = true;
+  const seconds = retryAfterSeconds(err);
+  const until = new Date(Date.now() + seconds * 1000).toISOString();
+  const row = limits.get(name);
+  if (row && backoffRemaining(row) < seconds * 1000) row.backoff_until = until;
+
+  const { error } = await supabase.rpc('throttle_backoff', { _name: name, _seconds: seconds });
+  if (error) logger.warn('throttle_backoff error', { err: error.message });
+  log(`THROTTLE ${name} got ${httpStatus(err)} → all workers back off ${seconds}s`);
+}
+
+// Draws bytes from the budget in THROTTLE_CHUNK_BYTES grants as data flows.
+function throttleStream(name, stream) {
+  let granted = 0;
+  const t = new Transform({
+    transform(chunk, _enc, cb) {
+      if (granted >= chunk.length) {
+        granted -= chunk.length;
+        return cb(null, chunk);
+      }
+      const need = Math.max(THROTTLE_CHUNK_BYTES, chunk.length - granted);
+      acquire(name, { bytes: need }).then(() => {
+        granted += need - chunk.length;
+        cb(null, chunk);
+      }, cb);
+    }
+  });
+  return pipeline(stream, t, () => {});
+}
+
+// Wraps a storage adapter so every call draws from the `name` budget and
+// 429/503 responses trigger the shared back-off. Errors are tagged with
+// err.side = name for lib/errors.js.
+function throttleAdapter(adapter, name) {
+  const guard = (op, fn) => async (...args) => {
+    await acquire(name, { requests: 1 });
+    try {
+      const out = await fn(...args);
+      metrics.storageRequests.inc({ side: name, op, status: 'ok' });
+      return out;
+    } catch (e) {
+      metrics.storageRequests.inc({ side: name, op, status: String(httpStatus(e) || e?.code || 'error') });
+      if (e && typeof e === 'object' && !e.side) e.side = name;
+      await noteRateLimit(name, e);
+      throw e;
+    }
+  };
+
+  const wrapped = {
+    ...adapter,
+    list: guard('list', adapter.list),
+    stat: guard('stat', adapter.stat),
+    delete: guard('delete', adapter.delete),
+    createReadStream: guard('read', async (path, opts) => {
+      const r = await adapter.createReadStream(path, opts);
+      return { ...r, stream: throttleStream(name, r.stream) };
+    }),
+    write: guard('write', async (path, body, opts) => {
+      if (Buffer.isBuffer(body)) {
+        await acquire(name, { bytes: body.length });
+        return adapter.write(path, body, opts);
+      }
+      return adapter.write(path, throttleStream(name, body), opts);
+    })
+  };
+  if (adapter.writeResumable) {
+    wrapped.writeResumable = guard('write_resumable', (path, openStream, opts) =>
+      adapter.writeResumable(path, async (start) => throttleStream(name, await openStream(start)), opts));
+  }
+  return wrapped;
+}
+
+module.exports = { acquire, noteRateLimit, isRateLimited, throttleStream, throttleAdapter };
@@ -0,0 +1,86 @@
+const { http } = require('./clients');
+
+// Minimal TUS 1.0 client (creation + core protocol), enough for Supabase's
+// resumable endpoint. We drive it ourselves instead of tus-js-client so the
+// upload URL and offset can live in our own database.
+const TUS_VERSION = '1.0.0';
+
+function encodeMetadata(meta) {
+  return Object.entries(meta)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => `${k} ${Buffer.from(String(v)).toString('base64')}`)
+    .join(',');
+}
+
+async function createUpload(endpoint, { headers = {}, size, metadata = {} }) {
+  const resp = await http.post(endpoint, null, {
+    headers: {
+      ...headers,
+      'Tus-Resumable': TUS_VERSION,
+      'Upload-Length': String(size),
+      'Upload-Metadata': encodeMetadata(metadata)
+    }
+  });
+  const location = resp.headers.location;
+  if (!location) throw new Error('TUS create returned no Location header');
+  return new URL(location, endpoint).toString();
+}
+
+// Server-confirmed offset, or null when the upload no longer exists (expired,
+// finished or never created) and has to start over.
+async function getOffset(url, { headers = {} } = {}) {
+  try {
+    const resp = await http.head(url, { headers: { ...headers, 'Tus-Resumable': TUS_VERSION } });
+    const offset = Number(resp.headers['upload-offset']);
+    return Number.isFinite(offset) ? offset : null;
+  } catch (e) {
+    if ([403, 404, 410].includes(e.response?.status)) return null;
+    throw e;
+  }
+}
+
+async function patchChunk(url, offset, chunk, { headers = {} } = {}) {
+  const resp = await http.patch(url, chunk, {
+    headers: {
+      ...headers,
+      'Tus-Resumable': TUS_VERSION,
+      'Upload-Offset': String(offset),
+      'Content-Type': 'application/offset+octet-stream'
+    }
+  });
+  const next = Number(resp.headers['upload-offset']);
+  return Number.isFinite(next) ? next : offset + chunk.length;
+}
+
+// Sends `stream` (which must start at `offset`) in chunkSize pieces.
+// onChunk(offset) runs after every chunk the server has acknowledged.
+// The chunk that completes the upload is held until the stream has ended,
+// so a stream that errors at the end (lib/hash.js) never completes it.
+async function uploadFrom(url, stream, { offset, size, chunkSize, headers, onChunk }) {
+  let pending = [];
+  let pendingBytes = 0;
+
+  async function flush(bytes) {
+    const all = Buffer.concat(pending, pendingBytes);
+    const chunk = all.subarray(0, bytes);
+    const rest = all.subarray(bytes);
+    pending = rest.length ? [rest] : [];
+    pendingBytes = rest.length;
+    offset = await patchChunk(url, offset, chunk, { headers });
+    if (onChunk) await onChunk(offset);
+  }
+
+  for await (const data of stream) {
+    pending.push(data);
+    pendingBytes += data.length;
+    while (pendingBytes >= chunkSize && offset + chunkSize < size) await flush(chunkSize);
+  }
+  if (pendingBytes > 0) await flush(pendingBytes);
+
+  if (offset !== size) {
+    throw new Error(`TUS upload ended at offset ${offset} of ${size}`);
+  }
+  return offset;
+}
+
+module.exports = { createUpload, getOffset, uploadFrom };
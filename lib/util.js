@@ -1,3 +1,18 @@
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 function hr(ms) { return `${(ms/1000).toFixed(2)}s`; }
-module.exports = { sleep, hr };
+// Bunny paths are absolute ('/a/b.png'); storage keys are not ('a/b.png').
+function toStoragePath(path) { return path.startsWith('/') ? path.slice(1) : path; }
+// PATH_PREFIX as an absolute path, or null for "everything".
+function normalizePrefix(p) {
+  if (!p || p === '/') return null;
+  return p.startsWith('/') ? p : `/${p}`;
+}
+// LIKE pattern matching everything under a path (wildcards escaped).
+function likePrefix(prefix) { return `${prefix.replace(/[\\%_]/g, '\\$&')}%`; }
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+function csvRow(values) { return `${values.map(csvCell).join(',')}\n`; }
+module.exports = { sleep, hr, toStoragePath, normalizePrefix, likePrefix, csvRow };
@@ -0,0 +1,98 @@
+const os = require('os');
+const { supabase } = require('./clients');
+const { log, logger } = require('./log');
+const { WORKER_HEARTBEAT_MS } = require('../config');
+
+// Fleet registry (migration_workers). Every discover/migrate process upserts
+// its row each WORKER_HEARTBEAT_MS with throughput and what it is working
+// on, and reads back `requested`, which control.js sets to 'drain' (finish
+// in-flight work, claim nothing new) or 'exit' (release claims, leave now).
+
+const MAX_CURRENT = 20;
+
+function registerWorker({ id, kind, concurrency, onExit }) {
+  const inFlight = new Map();
+  let jobId = null;
+  let status = 'running';
+  let requested = null;
+  let timer = null;
+  let filesOk = 0;
+  let filesFailed = 0;
+  let bytesTotal = 0;
+  let windowBytes = 0;
+  let windowStart = Date.now();
+
+  function row() {
+    const now = Date.now();
+    const bytesPerSec = windowBytes / Math.max(1, (now - windowStart) / 1000);
+    windowBytes = 0;
+    windowStart = now;
+    return {
+      id,
+      kind,
+      host: os.hostname(),
+      pid: process.pid,
+      job_id: jobId,
+      concurrency,
+      status,
+      in_flight: inFlight.size,
+      current: [...inFlight.values()].slice(0, MAX_CURRENT),
+      files_ok: filesOk,
+      files_failed: filesFailed,
+      bytes_total: bytesTotal,
+      bytes_per_sec: Math.round(bytesPerSec),
+      last_heartbeat: new Date(now).toISOString()
+    };
+  }
+
+  async function beat() {
+    const { data, error } = await supabase
+      .from('migration_workers')
+      .upsert(row())
+      .select('requested')
+      .single();
+    if (error) {
+      logger.warn('worker heartbeat error', { err: error.message });
+      return;
+    }
+    if (data.requested === requested) return;
+    requested = data.requested;
+    if (requested === 'drain') {
+      status = 'draining';
+      log(`WORKER ${id} asked to drain`);
+    } else if (requested === 'exit') {
+      log(`WORKER ${id} asked to exit`);
+      if (onExit) await onExit();
+    }
+  }
+
+  return {
+    async start(job) {
+      jobId = job;
+      await beat();
+      timer = setInterval(beat, WORKER_HEARTBEAT_MS);
+    },
+    // Whether to stop claiming new work.
+    draining() {
+      return requested === 'drain' || requested === 'exit';
+    },
+    begin(key, info) {
+      inFlight.set(key, { ...info, started_at: new Date().toISOString() });
+    },
+    end(key, { ok, bytes = 0 }) {
+      inFlight.delete(key);
+      if (ok) filesOk += 1; else filesFailed += 1;
+      bytesTotal += Number(bytes || 0);
+      windowBytes += Number(bytes || 0);
+    },
+    async stop(finalStatus = 'stopped') {
+      if (timer) clearInterval(timer);
+      timer = null;
+      status = finalStatus;
+      const { error } = await supabase.from('migration_workers').upsert({ ...row(), requested: null });
+      if (error) logger.warn('worker stop error', { err: error.message });
+    }
+  };
+}
+
+module.exports = { registerWorker };
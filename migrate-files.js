@@ -1,35 +1,59 @@
 const { supabase } = require('./lib/clients');
-const { download } = require('./lib/bunny');
-const { log } = require('./lib/log');
+const { getSource, getDest, readAll } = require('./lib/adapters');
+const { getRules } = require('./lib/rules');
+const { SNIFF_BYTES, mimeFromPath, sniffMime, readHead, peekHead } = require('./lib/mime');
+const { buildPlan } = require('./lib/plan');
+const { sha256Stream, sameDigest, hashingStream } = require('./lib/hash');
+const { log, logger, setLogContext } = require('./lib/log');
+const { registerWorker } = require('./lib/workers');
+const { classifyError, retryPolicy } = require('./lib/errors');
+const { metrics, sizeBucket, startMetricsServer } = require('./lib/metrics');
+const { notifyJobStatus } = require('./lib/notify');
 const { sleep, hr } = require('./lib/util');
+const { jobScope, describeScope } = require('./lib/scope');
 const pLimit = require('p-limit'); // Correctly import p-limit
 const { v4: uuidv4 } = require('uuid');
 const {
-  SUPABASE_BUCKET,
   CONCURRENCY,
-  MAX_RETRIES,
   SMALL_FILE_THRESHOLD_BYTES,
-  BATCH_SIZE
+  RESUMABLE_UPLOADS,
+  CONFLICT_POLICY,
+  BATCH_SIZE,
+  RUN_ID,
+  SOURCE_ADAPTER,
+  BUNNY_STORAGE_ZONE
 } = require('./config');
 
 const WORKER_ID = uuidv4();
+setLogContext({ kind: 'migrate', worker_id: WORKER_ID });
+const DRY_RUN = process.argv.includes('--dry-run');
+const CONFLICT_POLICIES = ['overwrite', 'skip-if-identical', 'skip-if-exists', 'fail'];
 
 // Initialize pLimit with the desired concurrency limit
 const limit = pLimit(CONCURRENCY);
 
-async function createJob(note = '') {
+let CURRENT_JOB = null;
+const worker = registerWorker({ id: WORKER_ID, kind: 'migrate', concurrency: CONCURRENCY, onExit: () => shutdown('exited') });
+
+async function createJob(note = '', { scope = null, priority = 0 } = {}) {
   try {
     const { data, error } = await supabase
       .from('migration_jobs')
-      .insert({ kind: 'migrate', note })
+      .insert({ kind: 'migrate', note, run_id: RUN_ID, scope, priority })
       .select()
       .single();
     if (error) throw error;
 
     await supabase.from('migration_progress').insert({ job_id: data.id });
+    if (priority > 0) {
+      const { data: n, error: pErr } = await supabase.rpc('prioritize_job_files', { _job_id: data.id });
+      if (pErr) throw pErr;
+      log(`Priority ${priority} set on ${n} files`);
+    }
+    await notifyJobStatus(data, 'started');
     return data;
   } catch (error) {
-    console.error('Error creating job:', error.message);
+    logger.error('Error creating job', { err: error.message });
     throw error;
   }
 }
@@ -40,7 +64,7 @@ async function getJob(jobId) {
     if (error) throw error;
     return data;
   } catch (error) {
-    console.error('Error getting job:', error.message);
+    logger.error('Error getting job', { err: error.message });
     throw error;
   }
 }
@@ -49,17 +73,50 @@ async function claimBatch(batchSize) {
   try {
     const { data, error } = await supabase.rpc('claim_files_to_migrate', {
       batch_size: batchSize,
-      worker_id: WORKER_ID
+      worker_id: WORKER_ID,
+      _job_id: CURRENT_JOB.id
     });
     if (error) throw error;
     return data || [];
   } catch (error) {
-    console.error('Error claiming batch:', error.message);
+    logger.error('Error claiming batch', { err: error.message });
     throw error;
   }
 }
 
-async function logResult({ file_id, job_id, status, attempts, bunny_path, supabase_path, time_taken, error_msg }) {
+// Every worker sharing the job gets here; only the one whose update changed
+// the row sends the notification. A job that already ended (stopped from the
+// dashboard, say) keeps its status.
+async function markJob(status) {
+  if (!CURRENT_JOB) return;
+  const { data, error } = await supabase
+    .from('migration_jobs')
+    .update({ status, ended_at: new Date().toISOString() })
+    .eq('id', CURRENT_JOB.id)
+    .in('status', ['running', 'paused'])
+    .select('id');
+  if (error) return logger.warn('markJob error', { err: error.message });
+  if (data && data.length) await notifyJobStatus(CURRENT_JOB, status);
+}
+
+// Files this worker claimed but never started go back to pending.
+async function releaseClaims() {
+  const { error } = await supabase
+    .from('bunny_file_map')
+    .update({ status: 'pending', claimed_at: null, claimed_by: null })
+    .eq('claimed_by', WORKER_ID)
+    .eq('status', 'in_progress');
+  if (error) logger.warn('releaseClaims error', { err: error.message });
+}
+
+async function shutdown(workerStatus) {
+  await releaseClaims();
+  await markJob('stopped');
+  await worker.stop(workerStatus);
+  process.exit(0);
+}
+
+async function logResult({ file_id, job_id, status, attempts, bunny_path, supabase_path, time_taken, bytes, error_msg, error_category, sha256 }) {
   try {
     const { error } = await supabase.from('migration_logs').insert({
       id: uuidv4(),
@@ -70,29 +127,38 @@ async function logResult({ file_id, job_id, status, attempts, bunny_path, supaba
       bunny_path,
       supabase_path,
       time_taken,
-      error_msg: error_msg || null
+      bytes: bytes ?? null,
+      error_msg: error_msg || null,
+      error_category: error_category || null,
+      sha256: sha256 || null
     });
     if (error) throw error;
   } catch (error) {
-    console.error('Error logging result:', error.message);
+    logger.error('Error logging result', { err: error.message });
     throw error;
   }
 }
 
-async function finalizeFile(id, status) {
+// Only while this worker still holds the claim: a resync that re-queued the
+// file (changed at the source) or a reclaim has cleared it, and the result
+// must not land on the row for the newer version. Returns false then.
+async function finalizeFile(id, status, extra = {}) {
   try {
-    const { error } = await supabase
+    const { data, error } = await supabase
       .from('bunny_file_map')
-      .update({ status, claimed_at: null, claimed_by: null })
-      .eq('id', id);
+      .update({ status, claimed_at: null, claimed_by: null, ...extra })
+      .eq('id', id)
+      .eq('claimed_by', WORKER_ID)
+      .select('id');
     if (error) throw error;
+    return data.length > 0;
   } catch (error) {
-    console.error('Error finalizing file:', error.message);
+    logger.error('Error finalizing file', { err: error.message });
     throw error;
   }
 }
 
-async function incProgress(job_id, { migrated = 0, failed = 0 }) {
+async function incProgress(job_id, { migrated = 0, failed = 0, skipped = 0 }) {
   try {
     const { error } = await supabase.rpc('increment_progress', {
       _job_id: job_id,
@@ -100,67 +166,236 @@ async function incProgress(job_id, { migrated = 0, failed = 0 }) {
       _total_files_delta: 0,
       _scanned_dirs_delta: 0,
       _migrated_files_delta: migrated,
-      _failed_files_delta: failed
+      _failed_files_delta: failed,
+      _skipped_files_delta: skipped
     });
     if (error) throw error;
   } catch (error) {
-    console.error('Error incrementing progress:', error.message);
+    logger.error('Error incrementing progress', { err: error.message });
     throw error;
   }
 }
 
-async function uploadSmall(destPath, mime, bodyBuffer) {
+async function uploadSmall(destPath, bodyBuffer, upsert, object) {
   try {
-    return await supabase.storage
-      .from(SUPABASE_BUCKET)
-      .upload(destPath, bodyBuffer, { upsert: true, contentType: mime || 'application/octet-stream' });
+    await getDest().write(destPath, bodyBuffer, { upsert, ...object });
   } catch (error) {
-    console.error('Error uploading small file:', error.message);
+    logger.error('Error uploading small file', { err: error.message });
     throw error;
   }
 }
 
-async function uploadStream(destPath, mime, stream) {
+async function uploadStream(destPath, stream, upsert, object) {
   try {
-    const { data: signed, error: signErr } = await supabase
-      .storage
-      .from(SUPABASE_BUCKET)
-      .createSignedUploadUrl(destPath);
-    if (signErr) throw signErr;
-
-    const { token } = signed;
-
-    const { error } = await supabase
-      .storage
-      .from(SUPABASE_BUCKET)
-      .uploadToSignedUrl(destPath, token, stream, { contentType: mime || 'application/octet-stream' });
+    await getDest().write(destPath, stream, { upsert, ...object });
+    return { ok: true };
+  } catch (error) {
+    logger.error('Error uploading stream', { err: error.message });
+    throw error;
+  }
+}
+
+// TUS state survives retries, restarts and reclaim_inprogress_to_pending.
+async function loadUploadState(id) {
+  try {
+    const { data, error } = await supabase
+      .from('bunny_file_map')
+      .select('upload_url,upload_offset')
+      .eq('id', id)
+      .single();
     if (error) throw error;
+    return data.upload_url ? { url: data.upload_url, offset: Number(data.upload_offset || 0) } : null;
+  } catch (error) {
+    logger.error('Error loading upload state', { err: error.message });
+    throw error;
+  }
+}
 
-    return { ok: true };
+async function saveUploadState(id, { url, offset }) {
+  const { error } = await supabase
+    .from('bunny_file_map')
+    .update({ upload_url: url, upload_offset: offset, upload_updated_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) throw error;
+}
+
+// Returns the SHA-256 of the file, or null when it is not known.
+// The hash state of the confirmed bytes is kept in `resume` next to the
+// offset, so a retry reads only the remaining bytes and still hashes the whole
+// file. That state lives in memory: after a restart the remaining bytes are
+// read without it, checked for size only, and the digest stays unknown
+// (verify-files.js still compares the object with the listing checksum).
+async function uploadResumable(destPath, file, resume, upsert, object) {
+  let body = null;
+  let whole = false;
+  try {
+    if (resume.url && resume.offset > 0) logger.info('RESUME', { file_id: file.id, path: file.path, offset: resume.offset });
+    await getDest().writeResumable(
+      destPath,
+      async (start) => {
+        const { stream } = await getSource().createReadStream(file.path, { start });
+        whole = start === 0 || resume.hashAt === start;
+        body = hashingStream(stream, {
+          size: file.size,
+          checksum: whole ? file.checksum : null,
+          offset: start,
+          hash: whole && start > 0 ? resume.hash : null,
+          checkpoints: whole
+        });
+        return body;
+      },
+      {
+        ...object,
+        size: Number(file.size),
+        upsert,
+        resume: resume.url ? resume : null,
+        onCheckpoint: async (state) => {
+          Object.assign(resume, state);
+          const hash = whole && body ? body.checkpoint(state.offset) : null;
+          if (hash) Object.assign(resume, { hash, hashAt: state.offset });
+          await saveUploadState(file.id, state);
+        }
+      }
+    );
   } catch (error) {
-    console.error('Error uploading stream:', error.message);
+    logger.error('Error uploading resumable', { err: error.message });
     throw error;
   }
+  if (body) return whole ? body.sha256 : null;
+  // An earlier attempt had already sent everything.
+  return resume.hashAt === Number(file.size) ? resume.hash.copy().digest('hex') : null;
+}
+
+// A source that served bad bytes may have left them in the partial upload;
+// start the next attempt from scratch.
+async function dropUploadState(id, resume) {
+  for (const key of Object.keys(resume)) delete resume[key];
+  await saveUploadState(id, { url: null, offset: null });
+}
+
+// Type, caching and the source's own metadata for the uploaded object, so
+// the CDN and apps see the same file after the cutover. `sha256` is only
+// passed when the bytes have already been hashed (buffered uploads); streamed
+// ones learn it as the upload ends and keep it in bunny_file_map.sha256.
+function objectOptions(file, contentType, sha256) {
+  const metadata = {
+    sha256,
+    bunny_guid: file.bunny_guid,
+    bunny_last_changed: file.last_changed,
+    bunny_checksum: file.checksum,
+    bunny_storage_zone: SOURCE_ADAPTER === 'bunny' ? BUNNY_STORAGE_ZONE : null
+  };
+  return {
+    contentType: contentType || 'application/octet-stream',
+    cacheControl: getRules().cacheControl(file.path),
+    metadata: Object.fromEntries(Object.entries(metadata).filter(([, v]) => v != null))
+  };
+}
+
+// For resumable uploads of files the listing gave no type and the extension
+// does not tell: the type is fixed when the upload is created, before any of
+// the transfer is read, so only the first bytes are fetched for it.
+async function sniffSource(file) {
+  const { stream } = await getSource().createReadStream(file.path, { start: 0, end: SNIFF_BYTES - 1 });
+  return sniffMime(await readHead(stream));
+}
+
+// CONFLICT_POLICY, applied before any bytes move:
+//   overwrite          always upload (upsert)
+//   skip-if-identical  skip when size and SHA-256 match the source checksum
+//   skip-if-exists     skip whenever the destination key exists
+//   fail               fail the file whenever the destination key exists
+// Returns the reason to skip, or null to upload.
+async function checkConflict(file, destPath) {
+  if (CONFLICT_POLICY === 'overwrite') return null;
+
+  const existing = await getDest().stat(destPath);
+  if (!existing) return null;
+
+  if (CONFLICT_POLICY === 'skip-if-exists') return 'exists at destination';
+  if (CONFLICT_POLICY === 'fail') {
+    const err = new Error(`Destination exists: ${destPath}`);
+    err.conflict = true;
+    throw err;
+  }
+
+  // skip-if-identical: without a source checksum we cannot prove it, so upload.
+  if (Number(existing.size) !== Number(file.size) || !file.checksum) return null;
+  const destDigest = existing.checksum || await sha256Stream((await getDest().createReadStream(destPath)).stream);
+  return sameDigest(destDigest, file.checksum) ? 'identical at destination' : null;
+}
+
+function superseded(flog) {
+  flog.warn('SUPERSEDED', { reason: 'claim cleared while in progress (re-queued or reclaimed)' });
+  return 'superseded';
 }
 
 async function migrateOne(job, file) {
   const start = Date.now();
   let attempt = 0;
-  const destPath = file.path.startsWith('/') ? file.path.slice(1) : file.path;
+  const rules = getRules();
+  const destPath = rules.destPath(file.path);
+  const flog = logger.child({ file_id: file.id, path: file.path });
+
+  // Rules may have changed since discovery.
+  const excluded = rules.check(file);
+  if (excluded) {
+    if (!(await finalizeFile(file.id, 'excluded', { dest_path: null }))) return superseded(flog);
+    flog.info('SKIP', { reason: excluded });
+    return 'excluded';
+  }
 
-  while (attempt < MAX_RETRIES) {
+  const resumable = RESUMABLE_UPLOADS && file.size > SMALL_FILE_THRESHOLD_BYTES && !!getDest().writeResumable;
+  const resume = resumable ? (await loadUploadState(file.id)) || {} : null;
+  // Only overwrite when the policy asks for it; otherwise a racing writer
+  // makes the upload fail instead of being clobbered.
+  const upsert = CONFLICT_POLICY === 'overwrite' || CONFLICT_POLICY === 'skip-if-identical';
+  let mime = file.mime_type || mimeFromPath(file.path);
+
+  while (true) {
     attempt++;
     try {
-      const responseType = file.size > SMALL_FILE_THRESHOLD_BYTES ? 'stream' : 'arraybuffer';
-      const resp = await download(file.path, responseType);
+      const skipReason = await checkConflict(file, destPath);
+      if (skipReason) {
+        await logResult({
+          file_id: file.id,
+          job_id: job.id,
+          status: 'skipped',
+          attempts: attempt,
+          bunny_path: file.path,
+          supabase_path: destPath,
+          time_taken: Date.now() - start,
+          bytes: 0,
+          error_msg: skipReason
+        });
+        if (!(await finalizeFile(file.id, 'skipped', { dest_path: destPath, error_category: null }))) return superseded(flog);
+        await incProgress(job.id, { skipped: 1 });
+        flog.info('SKIP', { reason: skipReason, attempt });
+        return 'skipped';
+      }
 
-      if (responseType === 'arraybuffer') {
-        const buf = Buffer.from(resp.data);
-        const { error } = await uploadSmall(destPath, file.mime_type, buf);
-        if (error) throw error;
+      // Bytes are hashed on the way through; a short read or a digest that
+      // differs from the listing fails the attempt before the upload completes.
+      let sha256;
+      if (resumable) {
+        mime = mime || await sniffSource(file);
+        sha256 = await uploadResumable(destPath, file, resume, upsert, objectOptions(file, mime));
+      } else if (file.size <= SMALL_FILE_THRESHOLD_BYTES) {
+        const body = hashingStream((await getSource().createReadStream(file.path)).stream, { size: file.size, checksum: file.checksum });
+        const buf = await readAll(body);
+        mime = mime || sniffMime(buf);
+        await uploadSmall(destPath, buf, upsert, objectOptions(file, mime, body.sha256));
+        sha256 = body.sha256;
       } else {
-        const readStream = resp.data; // axios stream
-        await uploadStream(destPath, file.mime_type, readStream);
+        const body = hashingStream((await getSource().createReadStream(file.path)).stream, { size: file.size, checksum: file.checksum });
+        let stream = body;
+        if (!mime) {
+          const peeked = await peekHead(body);
+          mime = sniffMime(peeked.head);
+          stream = peeked.stream;
+        }
+        await uploadStream(destPath, stream, upsert, objectOptions(file, mime));
+        sha256 = body.sha256;
       }
 
       await logResult({
@@ -170,16 +405,29 @@ async function migrateOne(job, file) {
         attempts: attempt,
         bunny_path: file.path,
         supabase_path: destPath,
-        time_taken: Date.now() - start
+        time_taken: Date.now() - start,
+        bytes: file.size,
+        sha256
+      });
+      const finalized = await finalizeFile(file.id, 'migrated', {
+        dest_path: destPath,
+        mime_type: mime || null,
+        sha256: sha256 || null,
+        error_category: null,
+        upload_url: null,
+        upload_offset: null,
+        upload_updated_at: null
       });
-      await finalizeFile(file.id, 'migrated');
+      if (!finalized) return superseded(flog);
       await incProgress(job.id, { migrated: 1 });
 
-      log(`OK  ${file.path} (${hr(Date.now() - start)})`);
-      return;
+      flog.info('OK', { attempt, bytes: Number(file.size || 0), ms: Date.now() - start });
+      return 'migrated';
     } catch (e) {
-      const final = attempt >= MAX_RETRIES;
-      if (final) {
+      const category = classifyError(e);
+      if (category === 'integrity' && resume?.url) await dropUploadState(file.id, resume);
+      const policy = retryPolicy(category);
+      if (attempt >= policy.maxAttempts) {
         await logResult({
           file_id: file.id,
           job_id: job.id,
@@ -188,37 +436,97 @@ async function migrateOne(job, file) {
           bunny_path: file.path,
           supabase_path: destPath,
           time_taken: Date.now() - start,
-          error_msg: e.message
+          error_msg: e.message,
+          error_category: category
         });
-        await finalizeFile(file.id, 'failed');
+        if (!(await finalizeFile(file.id, 'failed', { dest_path: destPath, error_category: category }))) return superseded(flog);
         await incProgress(job.id, { failed: 1 });
-        log(`FAIL ${file.path} after ${attempt} attempts :: ${e.message}`);
-        return;
+        flog.error('FAIL', { attempt, category, err: e.message });
+        return 'failed';
       }
-      const backoff = 1000 * attempt * attempt;
-      log(`WARN ${file.path} attempt ${attempt} failed: ${e.message} → retry in ${backoff}ms`);
+      metrics.retries.inc({ category });
+      const backoff = policy.delayMs(attempt, e);
+      flog.warn('retry', { attempt, category, err: e.message, backoff_ms: backoff });
       await sleep(backoff);
     }
   }
 }
 
+// A draining worker leaves the rest of its batch for releaseClaims().
+async function runOne(job, file) {
+  if (worker.draining()) return;
+  worker.begin(file.id, { path: file.path, size: file.size });
+  const stopTimer = metrics.uploadSeconds.startTimer({ size: sizeBucket(file.size) });
+  let status = 'failed';
+  try {
+    status = await migrateOne(job, file);
+  } finally {
+    worker.end(file.id, { ok: status !== 'failed', bytes: status === 'migrated' ? file.size : 0 });
+    metrics.files.inc({ result: status });
+    if (status === 'migrated') {
+      stopTimer();
+      metrics.bytes.inc(Number(file.size || 0));
+    }
+  }
+}
+
+// --dry-run [--statuses pending,failed] [--no-dest-check]
+async function runDryRun() {
+  const argv = process.argv;
+  const i = argv.indexOf('--statuses');
+  const statuses = i !== -1 && argv[i + 1] ? argv[i + 1].split(',') : ['pending'];
+  log(`DRY RUN: planning ${statuses.join('/')} files, nothing will be transferred`);
+
+  const { plan, jsonPath, csvPath } = await buildPlan({
+    statuses,
+    checkDest: !argv.includes('--no-dest-check'),
+    onProgress: (t) => log(`…planned ${t.files} files`)
+  });
+
+  const t = plan.totals;
+  log(`PLAN ${t.files} files / ${t.bytes} bytes → migrate ${t.migrate_files} (${t.migrate_bytes} bytes), excluded ${t.excluded_files}`);
+  log(`PLAN existing at destination: ${plan.existing.same_size} same size, ${plan.existing.size_mismatch} mismatched (policy ${plan.conflict_policy}); over size limit: ${plan.over_limit.files}`);
+  if (plan.estimate) log(`PLAN estimate ${hr(plan.estimate.seconds * 1000)} at ${Math.round(plan.estimate.bytes_per_sec)} B/s`);
+  log(`PLAN written to ${jsonPath} and ${csvPath}`);
+}
+
 async function run() {
-  const job = await createJob('Concurrent migration worker');
-  log(`MIGRATE job=${job.id} worker=${WORKER_ID} started`);
+  if (!CONFLICT_POLICIES.includes(CONFLICT_POLICY)) {
+    throw new Error(`Invalid CONFLICT_POLICY "${CONFLICT_POLICY}" (expected ${CONFLICT_POLICIES.join(' | ')})`);
+  }
+  if (DRY_RUN) return runDryRun();
 
-  // Periodic reclaim of stale in-progress claims
+  const { scope, priority } = await jobScope('migrate');
+  const job = await createJob(scope ? `Scoped migration (${describeScope(scope)})` : 'Concurrent migration worker', { scope, priority });
+  CURRENT_JOB = job;
+  setLogContext({ job_id: job.id });
+  await worker.start(job.id);
+  startMetricsServer({ kind: 'migrate', workerId: WORKER_ID });
+  log(`MIGRATE job=${job.id} worker=${WORKER_ID} scope=${describeScope(scope)}${priority ? ` priority=${priority}` : ''} started`);
+
+  process.on('SIGINT', () => shutdown('stopped'));
+  process.on('SIGTERM', () => shutdown('stopped'));
+
+  // Periodic reclaim of stale in-progress claims; does not keep a finished worker alive.
   setInterval(async () => {
     try {
       await supabase.rpc('reclaim_inprogress_to_pending', { minutes_threshold: 30 });
     } catch (e) {
-      console.warn('Reclaim failed:', e.message);
+      logger.warn('Reclaim failed', { err: e.message });
     }
-  }, 5 * 60 * 1000);
+  }, 5 * 60 * 1000).unref();
 
   while (true) {
     const fresh = await getJob(job.id);
     if (fresh.status === 'paused') { log('Paused…'); await sleep(2000); continue; }
     if (['stopped', 'failed', 'completed'].includes(fresh.status)) { log(`Job is ${fresh.status}. Exit.`); break; }
+    if (worker.draining()) {
+      log('Drained. Exit.');
+      await releaseClaims();
+      await markJob('stopped');
+      await worker.stop('drained');
+      return;
+    }
 
     const batch = await claimBatch(BATCH_SIZE);
     if (batch.length === 0) {
@@ -226,15 +534,20 @@ async function run() {
       const again = await claimBatch(BATCH_SIZE);
       if (again.length === 0) {
         log('No more claimable files. Marking job completed.');
-        await supabase.from('migration_jobs').update({ status: 'completed' }).eq('id', job.id);
+        await markJob('completed');
         break;
       }
-      await Promise.all(again.map(f => limit(() => migrateOne(job, f))));
+      await Promise.all(again.map(f => limit(() => runOne(job, f))));
       continue;
     }
 
-    await Promise.all(batch.map(f => limit(() => migrateOne(job, f))));
+    await Promise.all(batch.map(f => limit(() => runOne(job, f))));
   }
+  await worker.stop('stopped');
 }
 
-run().catch(e => { console.error(e); process.exit(1); });
\ No newline at end of file
+run().catch(async (e) => {
+  logger.error('Fatal', { err: e });
+  await markJob('failed');
+  process.exit(1);
+});
\ No newline at end of file
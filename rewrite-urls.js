@@ -0,0 +1,55 @@
+// rewrite-urls.js
+require('dotenv').config();
+const { v4: uuidv4 } = require('uuid');
+const { log, logger, setLogContext } = require('./lib/log');
+const { parseTargets, rewriteUrls, revertRun } = require('./lib/rewrite');
+const { REWRITE_TARGETS } = require('./config');
+
+/**
+ * CONFIG
+ *
+ *   node rewrite-urls.js [--targets public.posts.body,public.pages.blocks:slug]   report only
+ *   node rewrite-urls.js --apply [--targets …]                                   rewrite, logged under a run id
+ *   node rewrite-urls.js --revert <run_id>                                       put the old values back
+ */
+const argv = process.argv;
+function arg(name, fallback = null) {
+  const i = argv.indexOf(`--${name}`);
+  return i !== -1 && argv[i + 1] ? argv[i + 1] : fallback;
+}
+
+const APPLY = argv.includes('--apply');
+const REVERT = arg('revert');
+const RUN_ID = uuidv4();
+setLogContext({ kind: 'rewrite', run_id: REVERT || RUN_ID });
+
+/**
+ * MAIN
+ */
+async function run() {
+  if (REVERT) {
+    log(`REWRITE reverting run ${REVERT}`);
+    const t = await revertRun(REVERT);
+    log(`REWRITE reverted ${t.reverted} values; ${t.conflicts} changed since and left alone`);
+    return;
+  }
+
+  const targets = parseTargets(arg('targets', REWRITE_TARGETS));
+  log(`REWRITE ${APPLY ? `applying (run ${RUN_ID})` : 'dry run, nothing will be written'}: ${targets.map(t => `${t.table}.${t.column}`).join(', ')}`);
+
+  const { results, reportPath } = await rewriteUrls({
+    targets,
+    apply: APPLY,
+    runId: RUN_ID,
+    onProgress: (t) => log(`…${t.table}.${t.column}: ${t.rows} rows, ${t.urls} urls`)
+  });
+
+  for (const t of results) {
+    log(`REWRITE ${t.table}.${t.column}: ${t.rows} rows with Bunny URLs, ${t.urls} urls (${t.unmapped} not migrated), ` +
+      `${t.changed_rows} rows ${APPLY ? 'rewritten' : 'to rewrite'}${t.conflicts ? `, ${t.conflicts} changed meanwhile and skipped` : ''}`);
+  }
+  log(`REWRITE report written to ${reportPath}`);
+  if (APPLY) log(`REWRITE undo with: node rewrite-urls.js --revert ${RUN_ID}`);
+}
+
+run().catch(e => { logger.error('Fatal', { err: e }); process.exit(1); });
@@ -0,0 +1,27 @@
+const os = require('os');
+const path = require('path');
+
+process.env.CONTROL_AUTH = 'on';
+process.env.CONTROL_API_KEYS = 'ops:operator:op-secret';
+process.env.LOG_FILE = path.join(os.tmpdir(), `auth-test-${process.pid}.log`);
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticate } = require('../lib/auth');
+
+async function attempt(method, { header = null, query = {} } = {}) {
+  const req = { method, query, get: (name) => (name.toLowerCase() === 'authorization' ? header : undefined) };
+  let status = 200;
+  const res = { status(code) { status = code; return this; }, json() { return this; } };
+  await authenticate(req, res, (err) => { if (err) throw err; });
+  return { status, user: req.user };
+}
+
+test('access_token in the query only works for reads', async () => {
+  assert.equal((await attempt('GET', { query: { access_token: 'op-secret' } })).user.name, 'ops');
+  assert.equal((await attempt('HEAD', { query: { access_token: 'op-secret' } })).status, 200);
+  for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+    assert.equal((await attempt(method, { query: { access_token: 'op-secret' } })).status, 401, method);
+    assert.equal((await attempt(method, { header: 'Bearer op-secret' })).user.role, 'operator', method);
+  }
+});
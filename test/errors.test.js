@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyError, retryPolicy } = require('../lib/errors');
+
+const limited = (headers = {}) => Object.assign(new Error('Too Many Requests'), { response: { status: 429, headers } });
+
+test('rate-limited retries wait for Retry-After, else back off with jitter', () => {
+  assert.equal(classifyError(limited()), 'rate_limited');
+  const policy = retryPolicy('rate_limited');
+
+  assert.equal(policy.delayMs(1, limited({ 'retry-after': '7' })), 7000);
+  const at = new Date(Date.now() + 30_000).toUTCString();
+  const wait = policy.delayMs(1, limited({ 'retry-after': at }));
+  assert.ok(wait > 25_000 && wait <= 30_000, String(wait));
+
+  for (let attempt = 1; attempt <= 9; attempt++) {
+    const step = Math.min(60_000, 2000 * 2 ** (attempt - 1));
+    const delays = Array.from({ length: 20 }, () => policy.delayMs(attempt, limited()));
+    assert.ok(delays.every(d => d >= step / 2 && d <= step), `attempt ${attempt}: ${delays}`);
+  }
+  assert.ok(new Set(Array.from({ length: 20 }, () => policy.delayMs(3, limited()))).size > 1);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { hashingStream } = require('../lib/hash');
+
+const data = Buffer.from('0123456789abcdefghij');
+const digest = crypto.createHash('sha256').update(data).digest('hex');
+
+function chunks(buf, size) {
+  const out = [];
+  for (let i = 0; i < buf.length; i += size) out.push(buf.subarray(i, i + size));
+  return Readable.from(out);
+}
+
+async function drain(stream) {
+  const parts = [];
+  for await (const chunk of stream) parts.push(chunk);
+  return Buffer.concat(parts);
+}
+
+test('a resumed stream continues the hash from a confirmed checkpoint', async () => {
+  const first = hashingStream(chunks(data, 3), { size: data.length, checksum: digest, checkpoints: true });
+  const iter = first[Symbol.asyncIterator]();
+  let read = 0;
+  while (read < 12) read += (await iter.next()).value.length;
+  const hash = first.checkpoint(8);
+  assert.ok(hash);
+  first.destroy();
+
+  const rest = hashingStream(chunks(data.subarray(8), 5), { size: data.length, checksum: digest, offset: 8, hash });
+  assert.deepEqual(await drain(rest), data.subarray(8));
+  assert.equal(rest.sha256, digest);
+});
+
+test('short or altered bytes fail the stream as integrity errors', async () => {
+  await assert.rejects(drain(hashingStream(chunks(data.subarray(0, 15), 4), { size: data.length, checksum: digest })),
+    e => e.integrity && /size mismatch/.test(e.message));
+  const altered = Buffer.from(data);
+  altered[3] ^= 1;
+  await assert.rejects(drain(hashingStream(chunks(altered, 4), { size: data.length, checksum: digest.toUpperCase() })),
+    e => e.integrity && /checksum mismatch/.test(e.message));
+});
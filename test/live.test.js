@@ -0,0 +1,50 @@
+const os = require('os');
+const path = require('path');
+
+process.env.LIVE_FALLBACK_POLL_MS = '50';
+process.env.LIVE_FLUSH_MS = '20';
+process.env.LOG_FILE = path.join(os.tmpdir(), `live-test-${process.pid}.log`);
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { setClients } = require('../lib/clients');
+const { startFakeSupabase } = require('./support/fake-supabase');
+
+let db;
+let supabase;
+let live;
+
+before(async () => {
+  db = await startFakeSupabase();
+  supabase = createClient(db.url, 'test-service-key', { auth: { persistSession: false } });
+  setClients({ supabase });
+  live = require('../lib/live');
+});
+
+after(async () => {
+  await supabase.removeAllChannels();
+  db.close();
+});
+
+test('the polling fallback delivers every log row of a burst larger than a page', async () => {
+  const got = [];
+  const unsubscribe = live.subscribe({}, (event, data) => { if (event === 'logs') got.push(...data); });
+  try {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const jobId = randomUUID();
+    // One insert: every row gets the same upload_time.
+    const rows = Array.from({ length: 1234 }, (_, i) => ({ job_id: jobId, status: 'success', bunny_path: `/f${i}` }));
+    const { error } = await supabase.from('migration_logs').insert(rows);
+    if (error) throw error;
+
+    const deadline = Date.now() + 10_000;
+    while (got.length < rows.length && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 50));
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(got.length, rows.length);
+    assert.equal(new Set(got.map(l => l.id)).size, rows.length);
+  } finally {
+    unsubscribe();
+  }
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { mimeFromPath, sniffMime, readHead, peekHead } = require('../lib/mime');
+
+test('types come from the extension', () => {
+  assert.equal(mimeFromPath('/img/a.PNG'), 'image/png');
+  assert.equal(mimeFromPath('/docs/readme.md'), 'text/markdown');
+  assert.equal(mimeFromPath('/bin/blob'), null);
+});
+
+test('files without a usable extension are sniffed from their first bytes', () => {
+  const cases = [
+    [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]), 'image/png'],
+    [Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'image/jpeg'],
+    [Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypisom')]), 'video/mp4'],
+    [Buffer.concat([Buffer.from([0, 0, 0, 0x14]), Buffer.from('ftypqt  ')]), 'video/quicktime'],
+    [Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 '), 'image/webp'],
+    [Buffer.from('%PDF-1.7\n'), 'application/pdf'],
+    [Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>'), 'image/svg+xml'],
+    [Buffer.from('just some text'), null],
+    [Buffer.alloc(0), null]
+  ];
+  for (const [head, expected] of cases) assert.equal(sniffMime(head), expected, head.toString('hex'));
+});
+
+test('readHead stops after the first bytes', async () => {
+  let served = 0;
+  const stream = new Readable({
+    read() {
+      served += 1;
+      this.push(served > 100 ? null : Buffer.alloc(256, served));
+    }
+  });
+  const head = await readHead(stream, 300);
+  assert.equal(head.length, 300);
+  assert.ok(served < 10);
+  assert.ok(stream.destroyed);
+});
+
+test('peekHead hands back a stream that still starts at the first byte', async () => {
+  const bytes = Buffer.from(Array.from({ length: 2000 }, (_, i) => i % 251));
+  const { head, stream } = await peekHead(Readable.from([bytes.subarray(0, 300), bytes.subarray(300, 700), bytes.subarray(700)]));
+  assert.deepEqual(head, bytes.subarray(0, 512));
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  assert.deepEqual(Buffer.concat(chunks), bytes);
+
+  const short = await peekHead(Readable.from([Buffer.from('tiny')]));
+  assert.equal(short.head.toString(), 'tiny');
+  const rest = [];
+  for await (const chunk of short.stream) rest.push(chunk);
+  assert.equal(Buffer.concat(rest).toString(), 'tiny');
+});
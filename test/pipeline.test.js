@@ -0,0 +1,356 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createHarness } = require('./support/harness');
+
+// End-to-end runs of the worker scripts against the fake Bunny source and
+// fake Supabase database (see test/support).
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function putTree(h, tree) {
+  for (const [path, body] of Object.entries(tree)) h.bunny.put(path, body);
+}
+
+function byPath(rows) {
+  return Object.fromEntries(rows.map(r => [r.path, r]));
+}
+
+function jobsOf(h, kind) {
+  return h.db.rows('migration_jobs', { kind });
+}
+
+test('discover → migrate → retry → verify', async (t) => {
+  const h = await createHarness();
+  t.after(() => h.close());
+  const tree = {
+    '/a.txt': 'alpha',
+    '/img/one.png': 'png-one',
+    '/img/two.png': 'png-two',
+    '/docs/deep/readme.md': '# readme',
+    '/broken.bin': 'never served'
+  };
+  putTree(h, tree);
+  h.bunny.fail('/broken.bin', { status: 404, times: Infinity });
+  h.bunny.fail('/img/two.png', { status: 500, times: 1 });
+
+  await h.run('discover');
+  const [discoverJob] = jobsOf(h, 'discover');
+  assert.equal(discoverJob.status, 'completed');
+  assert.deepEqual(h.files().map(f => f.path).sort(), Object.keys(tree).sort());
+  assert.deepEqual(h.db.rows('bunny_file_map', { is_dir: true }).map(d => d.path).sort(), ['/docs/', '/docs/deep/', '/img/']);
+  assert.ok(h.db.rows('scan_queue').every(q => q.status === 'done'));
+  const [discovered] = h.db.rows('migration_progress', { job_id: discoverJob.id });
+  assert.equal(discovered.total_files, 5);
+
+  await h.run('migrate');
+  let files = byPath(h.files());
+  assert.equal(files['/broken.bin'].status, 'failed');
+  assert.equal(files['/broken.bin'].error_category, 'source_not_found');
+  for (const path of ['/a.txt', '/img/one.png', '/img/two.png', '/docs/deep/readme.md']) {
+    assert.equal(files[path].status, 'migrated', path);
+    assert.equal(h.readDest(files[path].dest_path).toString(), tree[path]);
+  }
+  // The 500 was retried within the same run.
+  const [twoLog] = h.db.rows('migration_logs', { bunny_path: '/img/two.png', status: 'success' });
+  assert.equal(twoLog.attempts, 2);
+
+  // Retry the failures with a scoped job once the source serves the file again.
+  h.bunny.clearFailures();
+  await h.run('migrate', { env: { JOB_SCOPE: JSON.stringify({ retry_failed: true }) } });
+  files = byPath(h.files());
+  assert.equal(files['/broken.bin'].status, 'migrated');
+  assert.equal(h.readDest('broken.bin').toString(), tree['/broken.bin']);
+
+  await h.run('verify');
+  assert.ok(h.files().every(f => f.status === 'migrated' && f.verified_at && !f.verify_error));
+
+  // Same size, different bytes: only the checksum catches it.
+  h.writeDest('a.txt', 'ALPHA');
+  await h.run('verify');
+  files = byPath(h.files());
+  assert.equal(files['/a.txt'].status, 'verify_failed');
+  assert.match(files['/a.txt'].verify_error, /checksum mismatch/);
+  assert.equal(files['/img/one.png'].status, 'migrated');
+});
+
+test('downloads that do not match the listing fail as integrity errors and are not uploaded', async (t) => {
+  const h = await createHarness();
+  t.after(() => h.close());
+  putTree(h, { '/ok.txt': 'fine', '/flipped.bin': 'abcdef', '/short.bin': '0123456789' });
+  await h.run('discover');
+
+  // The listing keeps the original checksums; the bytes served no longer match.
+  h.bunny.files.get('/flipped.bin').body = Buffer.from('abcdeF');
+  h.bunny.files.get('/short.bin').body = Buffer.from('01234');
+  await h.run('migrate', { env: { MAX_RETRIES: '2' } });
+
+  const files = byPath(h.files());
+  const sha256 = crypto.createHash('sha256').update('fine').digest('hex');
+  assert.equal(files['/ok.txt'].status, 'migrated');
+  assert.equal(files['/ok.txt'].sha256, sha256);
+  const [okLog] = h.db.rows('migration_logs', { bunny_path: '/ok.txt', status: 'success' });
+  assert.equal(okLog.sha256, sha256);
+
+  for (const [file, reason] of [['/flipped.bin', /checksum mismatch/], ['/short.bin', /size mismatch/]]) {
+    assert.equal(files[file].status, 'failed', file);
+    assert.equal(files[file].error_category, 'integrity', file);
+    assert.equal(files[file].sha256, null, file);
+    const [log] = h.db.rows('migration_logs', { bunny_path: file, status: 'failed' });
+    assert.equal(log.attempts, 2, file);
+    assert.match(log.error_msg, reason, file);
+    assert.ok(!fs.existsSync(path.join(h.destRoot, file)), `${file} reached the destination`);
+  }
+});
+
+test('missing content types are filled in from the extension or the leading bytes', async (t) => {
+  const h = await createHarness();
+  t.after(() => h.close());
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+  const big = Buffer.concat([png, Buffer.alloc(4000, 7)]);
+  putTree(h, { '/img/logo.png': png, '/raw/logo': png, '/raw/notes': 'plain words', '/raw/big': big });
+
+  await h.run('discover');
+  let files = byPath(h.files());
+  assert.equal(files['/img/logo.png'].mime_type, 'image/png');
+  assert.equal(files['/raw/logo'].mime_type, null);
+  assert.equal(files['/img/logo.png'].bunny_guid, h.bunny.files.get('/img/logo.png').guid);
+
+  await h.run('migrate', { env: { SMALL_FILE_THRESHOLD_BYTES: '100', RESUMABLE_UPLOADS: 'false' } });
+  files = byPath(h.files());
+  assert.ok(h.files().every(f => f.status === 'migrated'));
+  assert.equal(files['/raw/logo'].mime_type, 'image/png');
+  assert.equal(files['/raw/notes'].mime_type, null);
+  // Streamed: sniffed from the transfer itself, not from a second download.
+  assert.equal(files['/raw/big'].mime_type, 'image/png');
+  assert.deepEqual(h.readDest('raw/big'), big);
+  assert.equal(h.bunny.requests.filter(r => r.method === 'GET' && r.path === '/raw/big').length, 1);
+});
+
+test('objects streamed to Supabase Storage keep the source metadata and cache rules', async (t) => {
+  const h = await createHarness();
+  t.after(() => h.close());
+  const body = 'streamed body '.repeat(100);
+  putTree(h, { '/static/app.js': body, '/media/clip.bin': body });
+  fs.writeFileSync(path.join(h.dir, 'rules.json'), JSON.stringify({ cacheControl: [{ match: '/static/**', maxAge: 31536000 }] }));
+  await h.run('discover');
+
+  await h.run('migrate', {
+    env: {
+      DEST_ADAPTER: 'supabase',
+      DEST_BUCKET: 'media',
+      RESUMABLE_UPLOADS: 'false',
+      SMALL_FILE_THRESHOLD_BYTES: '100',
+      RULES_FILE: path.join(h.dir, 'rules.json')
+    }
+  });
+
+  assert.ok(h.files().every(f => f.status === 'migrated'));
+  const source = h.bunny.files.get('/static/app.js');
+  const app = h.db.objects.get('media/static/app.js');
+  assert.equal(app.body.toString(), body);
+  assert.equal(app.contentType, 'application/javascript');
+  assert.equal(app.cacheControl, 'max-age=31536000');
+  // Streamed: the digest is only known once the upload ends, so it goes to the row.
+  assert.equal(h.files({ path: '/static/app.js' })[0].sha256, source.checksum.toLowerCase());
+  assert.deepEqual(app.metadata, {
+    bunny_guid: source.guid,
+    bunny_last_changed: h.files({ path: '/static/app.js' })[0].last_changed,
+    bunny_checksum: source.checksum,
+    bunny_storage_zone: h.bunny.zone
+  });
+  // No rule matches: the usual default rather than no header at all.
+  assert.equal(h.db.objects.get('media/media/clip.bin').cacheControl, 'max-age=3600');
+});
+
+test('a file changed at the source while it is being migrated is copied again in its new version', async (t) => {
+  const h = await createHarness();
+  t.after(() => h.close());
+  h.bunny.put('/doc.txt', 'version 1');
+  await h.run('discover');
+
+  // The download of version 1 is in flight when the resync sees version 2.
+  h.bunny.latencyMs = 1500;
+  const worker = h.start('migrate');
+  await h.waitFor(() => h.bunny.requests.some(r => r.method === 'GET' && r.path === '/doc.txt'), { message: 'download started' });
+  h.bunny.put('/doc.txt', 'version 2!');
+  h.bunny.latencyMs = 0;
+  await h.run('discover', { args: ['--resync'] });
+  const [requeued] = h.files();
+  assert.equal(requeued.status, 'pending');
+  assert.equal(requeued.claimed_by, null);
+
+  const { code } = await worker.exited;
+  assert.equal(code, 0);
+  const [file] = h.files();
+  assert.equal(file.status, 'migrated');
+  assert.equal(h.readDest(file.dest_path).toString(), 'version 2!');
+});
+
+test('a scoped migrate job only claims files in its scope', async (t) => {
+  const h = await createHarness();
+  t.after(() => h.close());
+  putTree(h, {
+    '/img/2023/a.png': 'a',
+    '/img/2024/b.png': 'b',
+    '/img/2024/c.jpg': 'c',
+    '/img/2024/gone.png': 'x',
+    '/video/d.png': 'd'
+  });
+
+  await h.run('discover');
+  h.bunny.fail('/img/2024/gone.png', { status: 404, times: Infinity });
+  await h.run('migrate', { env: { JOB_SCOPE: JSON.stringify({ glob: '/img/**/*.png' }), JOB_PRIORITY: '5', MAX_RETRIES: '1' } });
+
+  const files = byPath(h.files());
+  assert.equal(files['/img/2023/a.png'].status, 'migrated');
+  assert.equal(files['/img/2024/b.png'].status, 'migrated');
+  assert.equal(files['/img/2024/c.jpg'].status, 'pending');
+  assert.equal(files['/video/d.png'].status, 'pending');
+  const [job] = jobsOf(h, 'migrate');
+  assert.equal(job.scope.regex, '^/img/(?:.*/)?[^/]*\\.png$');
+  assert.equal(job.priority, 5);
+  // The raised priority ends with the job, including on the file it left failed.
+  assert.equal(files['/img/2024/gone.png'].status, 'failed');
+  assert.ok(h.files().every(f => f.priority === 0));
+});
+
+test('a paused migrate job holds still; a stopped one exits and leaves the rest pending', async (t) => {
+  const h = await createHarness();
+  t.after(() => h.close());
+  for (let i = 0; i < 12; i++) h.bunny.put(`/f${String(i).padStart(2, '0')}.bin`, `file ${i}`);
+  await h.run('discover');
+
+  h.bunny.latencyMs = 100;
+  const worker = h.start('migrate', { env: { BATCH_SIZE: '2', CONCURRENCY: '1' } });
+  const migrated = () => h.files({ status: 'migrated' }).length;
+  await h.waitFor(() => migrated() >= 2, { message: 'first files migrated' });
+  const [job] = jobsOf(h, 'migrate');
+
+  h.db.update('migration_jobs', { id: job.id }, { status: 'paused' });
+  // The batch in hand is finished, then nothing moves. (No claims alone is
+  // not enough: that is also true between two batches.)
+  await h.waitFor(() => worker.output().includes('Paused'), { message: 'worker paused' });
+  assert.equal(h.files({ status: 'in_progress' }).length, 0);
+  const held = migrated();
+  await sleep(1000);
+  assert.equal(migrated(), held);
+
+  h.db.update('migration_jobs', { id: job.id }, { status: 'running' });
+  await h.waitFor(() => migrated() > held, { message: 'migration resumed' });
+
+  h.db.update('migration_jobs', { id: job.id }, { status: 'stopped' });
+  const { code } = await worker.exited;
+  assert.equal(code, 0);
+  const pending = h.files({ status: 'pending' }).length;
+  assert.ok(pending > 0, 'stopped before the end');
+  assert.equal(migrated() + pending, 12);
+  assert.equal(h.files({ status: 'in_progress' }).length, 0);
+});
+
+test('a job stopped from outside is left as it is by its worker, which sends nothing for it', async (t) => {
+  const h = await createHarness();
+  t.after(() => h.close());
+  const events = [];
+  const hook = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => { events.push(JSON.parse(body)); res.end(); });
+  });
+  await new Promise(resolve => hook.listen(0, '127.0.0.1', resolve));
+  t.after(() => hook.close());
+  const env = { WEBHOOK_URL: `http://127.0.0.1:${hook.address().port}/`, BATCH_SIZE: '1', CONCURRENCY: '1' };
+  for (let i = 0; i < 6; i++) h.bunny.put(`/f${i}.bin`, `file ${i}`);
+  await h.run('discover');
+
+  h.bunny.latencyMs = 200;
+  const worker = h.start('migrate', { env });
+  await h.waitFor(() => h.files({ status: 'migrated' }).length >= 1, { message: 'first file migrated' });
+  const [job] = jobsOf(h, 'migrate');
+  // As the control API does; it sends job.stopped itself.
+  h.db.update('migration_jobs', { id: job.id }, { status: 'stopped' });
+  worker.kill('SIGTERM');
+  await worker.exited;
+
+  const [after] = jobsOf(h, 'migrate');
+  assert.equal(after.status, 'stopped');
+  assert.equal(after.ended_at, null);
+  assert.deepEqual(events.filter(e => e.job?.id === job.id).map(e => e.event), ['job.started']);
+
+  // A job that runs out of files ends once, with its end time.
+  h.bunny.latencyMs = 0;
+  await h.run('migrate', { env });
+  const [done] = jobsOf(h, 'migrate').filter(j => j.id !== job.id);
+  assert.equal(done.status, 'completed');
+  assert.ok(done.ended_at);
+  assert.deepEqual(events.filter(e => e.job?.id === done.id).map(e => e.event), ['job.started', 'job.completed']);
+});
+
+test('files held by a crashed migrate worker are reclaimed once stale and finished by the next one', async (t) => {
+  const h = await createHarness();
+  t.after(() => h.close());
+  const tree = {};
+  for (let i = 0; i < 8; i++) tree[`/batch/f${i}.bin`] = `payload ${i}`.repeat(100);
+  putTree(h, tree);
+  await h.run('discover');
+
+  h.bunny.latencyMs = 150;
+  const crashed = h.start('migrate', { env: { BATCH_SIZE: '4', CONCURRENCY: '2' } });
+  await h.waitFor(() => h.files({ status: 'migrated' }).length >= 1, { message: 'first file migrated' });
+  crashed.kill('SIGKILL');
+  await crashed.exited;
+  h.bunny.latencyMs = 0;
+
+  const stuck = h.files({ status: 'in_progress' }).map(f => f.id).sort();
+  assert.ok(stuck.length > 0, 'the crash left claims behind');
+
+  // A new worker leaves fresh claims alone…
+  await h.run('migrate');
+  assert.deepEqual(h.files({ status: 'in_progress' }).map(f => f.id).sort(), stuck);
+
+  // …until they are older than the reclaim threshold.
+  assert.equal(h.db.rpc('reclaim_inprogress_to_pending', { minutes_threshold: 30 }), 0);
+  const longAgo = new Date(Date.now() - 31 * 60_000).toISOString();
+  for (const id of stuck) h.db.update('bunny_file_map', { id }, { claimed_at: longAgo });
+  assert.equal(h.db.rpc('reclaim_inprogress_to_pending', { minutes_threshold: 30 }), stuck.length);
+
+  await h.run('migrate');
+  for (const f of h.files()) {
+    assert.equal(f.status, 'migrated', f.path);
+    assert.equal(h.readDest(f.dest_path).toString(), tree[f.path]);
+  }
+});
+
+test('a discover run killed mid-crawl resumes the same job once its claims are released', async (t) => {
+  const h = await createHarness();
+  t.after(() => h.close());
+  const paths = [];
+  let dir = '';
+  for (let depth = 1; depth <= 6; depth++) {
+    dir += `/d${depth}`;
+    for (const name of ['x.txt', 'y.txt']) paths.push(`${dir}/${name}`);
+  }
+  for (const path of paths) h.bunny.put(path, path);
+
+  h.bunny.latencyMs = 150;
+  const crashed = h.start('discover', { env: { DISCOVER_CONCURRENCY: '1' } });
+  await h.waitFor(() => h.db.rows('scan_queue', { status: 'done' }).length >= 2, { message: 'first directories scanned' });
+  crashed.kill('SIGKILL');
+  await crashed.exited;
+  h.bunny.latencyMs = 0;
+  assert.ok(h.files().length < paths.length, 'killed before the end');
+
+  // What control.js does for a worker that is gone (POST /workers/:id/release).
+  const [gone] = h.db.rows('migration_workers', { kind: 'discover' });
+  h.db.rpc('release_worker_claims', { _worker_id: gone.id });
+
+  await h.run('discover');
+  const jobs = jobsOf(h, 'discover');
+  assert.equal(jobs.length, 1, 'the running job was picked up again');
+  assert.equal(jobs[0].status, 'completed');
+  assert.deepEqual(h.files().map(f => f.path).sort(), [...paths].sort());
+  assert.ok(h.db.rows('scan_queue').every(q => q.status === 'done'));
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRules, globToRegExp } = require('../lib/rules');
+
+test('globs match within and across directories', () => {
+  const cases = [
+    ['/media/**/*.mp4', '/media/a.mp4', true],
+    ['/media/**/*.mp4', '/media/x/y/a.mp4', true],
+    ['/media/**/*.mp4', '/mediax/a.mp4', false],
+    ['/media/*.mp4', '/media/x/a.mp4', false],
+    ['/img/?.png', '/img/a.png', true],
+    ['/img/?.png', '/img/ab.png', false],
+    ['/img/*.{png,jpg}', '/img/a.jpg', true],
+    ['/img/[!a]*.png', '/img/a1.png', false],
+    ['/a+b (1).txt', '/a+b (1).txt', true]
+  ];
+  for (const [glob, path, expected] of cases) {
+    assert.equal(globToRegExp(glob).test(path), expected, `${glob} ~ ${path}`);
+  }
+});
+
+test('the first matching cacheControl rule sets max-age', () => {
+  const rules = compileRules({
+    cacheControl: [
+      { match: '/static/**', maxAge: 31536000 },
+      { match: '**/*.html', maxAge: 60 }
+    ]
+  });
+  assert.equal(rules.cacheControl('/static/app.js'), 31536000);
+  assert.equal(rules.cacheControl('/static/index.html'), 31536000);
+  assert.equal(rules.cacheControl('/pages/index.html'), 60);
+  assert.equal(rules.cacheControl('/img/a.png'), null);
+  assert.equal(compileRules().cacheControl('/a'), null);
+});
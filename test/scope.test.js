@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createClient } = require('@supabase/supabase-js');
+const { setClients } = require('../lib/clients');
+const { startFakeSupabase } = require('./support/fake-supabase');
+
+let db;
+let scope;
+
+before(async () => {
+  db = await startFakeSupabase();
+  setClients({ supabase: createClient(db.url, 'test-service-key', { auth: { persistSession: false } }) });
+  scope = require('../lib/scope');
+});
+
+after(() => db.close());
+
+test('a glob scope crawls from its longest fixed directory', () => {
+  assert.equal(scope.globRoot('/media/2021/*.mp4'), '/media/2021/');
+  assert.equal(scope.globRoot('*.jpg'), '/');
+});
+
+test('scopes are checked against the kind of job', () => {
+  assert.equal(scope.checkScope(null), null);
+  assert.equal(scope.checkScope({ glob: '/a/**' }, 'discover'), null);
+  assert.match(scope.checkScope({ ids: ['6f1c7a0e-8c1e-4a53-9b55-2b1d5f0f2a11'] }, 'discover'), /discover scope/);
+  assert.match(scope.checkScope({ filter_name: 'x' }, 'verify'), /verify scope/);
+  assert.match(scope.checkScope({ ids: ['nope'] }), /uuid/);
+  assert.match(scope.checkScope({ glob: 'relative/*' }), /absolute/);
+  assert.match(scope.checkScope({ colour: 'blue' }), /Unknown scope field colour/);
+});
+
+test('a saved filter is resolved into the stored scope', async () => {
+  const [saved] = db.insert('file_filters', { name: 'network failures', filter: { status: 'failed', category: 'network' } });
+
+  const resolved = await scope.resolveScope({ prefix: 'videos/', filter_name: 'network failures' });
+  assert.deepEqual(resolved, {
+    prefix: '/videos/',
+    filter_id: saved.id,
+    filter_name: 'network failures',
+    filter: { status: 'failed', category: 'network' },
+    retry_failed: true
+  });
+
+  await assert.rejects(scope.resolveScope({ filter_name: 'missing' }), /Unknown saved filter missing/);
+  db.insert('file_filters', { name: 'done', filter: { status: 'migrated' } });
+  await assert.rejects(scope.resolveScope({ filter_name: 'done' }), /only pending or failed/);
+});
@@ -0,0 +1,171 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Bunny Storage stand-in: directory listings (GET /<zone>/<dir>/), downloads
+// with Range support, uploads and deletes, all checked against the AccessKey
+// header. Directories exist implicitly through the files under them.
+//
+//   const bunny = await startFakeBunny({ zone: 'zone', accessKey: 'key' });
+//   bunny.put('/img/a.png', Buffer.from('…'));
+//   bunny.fail('/img/a.png', { status: 500, times: 1 });   // next download fails once
+//   bunny.latencyMs = 100;                                  // every request waits this long
+//   bunny.requests                                          // [{ method, path, range }]
+
+function sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex').toUpperCase();
+}
+
+async function startFakeBunny({ zone = 'zone', accessKey = 'test-access-key', latencyMs = 0 } = {}) {
+  const files = new Map();      // '/dir/file' → { body, checksum, lastChanged, guid }
+  const failures = new Map();   // 'GET /dir/file' or 'LIST /dir/' → { status, times }
+  const requests = [];
+
+  function put(path, body, { lastChanged = new Date() } = {}) {
+    const buf = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    files.set(path, {
+      body: buf,
+      checksum: sha256(buf),
+      // Bunny reports LastChanged without a zone.
+      lastChanged: lastChanged.toISOString().replace(/Z$/, ''),
+      guid: crypto.randomUUID()
+    });
+  }
+
+  function remove(path) {
+    files.delete(path);
+  }
+
+  // op is GET (download) or LIST (directory listing); times may be Infinity.
+  function fail(path, { status = 500, times = 1, op = path.endsWith('/') ? 'LIST' : 'GET' } = {}) {
+    failures.set(`${op} ${path}`, { status, times });
+  }
+
+  function clearFailures() {
+    failures.clear();
+  }
+
+  function takeFailure(key) {
+    const f = failures.get(key);
+    if (!f) return null;
+    f.times -= 1;
+    if (f.times <= 0) failures.delete(key);
+    return f.status;
+  }
+
+  function listing(dir) {
+    const entries = new Map();
+    for (const [path, f] of files) {
+      if (!path.startsWith(dir)) continue;
+      const rest = path.slice(dir.length);
+      const slash = rest.indexOf('/');
+      if (slash === -1) {
+        entries.set(rest, {
+          Guid: f.guid,
+          StorageZoneName: zone,
+          Path: `/${zone}${dir}`,
+          ObjectName: rest,
+          Length: f.body.length,
+          LastChanged: f.lastChanged,
+          IsDirectory: false,
+          Checksum: f.checksum,
+          ContentType: ''
+        });
+      } else if (!entries.has(rest.slice(0, slash))) {
+        const name = rest.slice(0, slash);
+        entries.set(name, {
+          Guid: crypto.randomUUID(),
+          StorageZoneName: zone,
+          Path: `/${zone}${dir}`,
+          ObjectName: name,
+          Length: 0,
+          LastChanged: f.lastChanged,
+          IsDirectory: true,
+          Checksum: null,
+          ContentType: ''
+        });
+      }
+    }
+    return [...entries.values()];
+  }
+
+  function send(res, status, body, headers = {}) {
+    const buf = Buffer.isBuffer(body) ? body : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+    res.writeHead(status, { 'Content-Length': buf.length, ...headers });
+    res.end(buf);
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const full = decodeURIComponent(url.pathname);
+    const prefix = `/${zone}/`;
+    const path = full.startsWith(prefix) ? full.slice(prefix.length - 1) : null;
+    requests.push({ method: req.method, path, range: req.headers.range || null });
+    // A download serves the file as it was when the request arrived.
+    const served = path && files.get(path);
+
+    if (bunny.latencyMs) await new Promise(r => setTimeout(r, bunny.latencyMs));
+    if (req.headers.accesskey !== accessKey) return send(res, 401, { HttpCode: 401, Message: 'Unauthorized' });
+    if (!path) return send(res, 404, { HttpCode: 404, Message: 'Unknown storage zone' });
+
+    if (req.method === 'GET' && path.endsWith('/')) {
+      const status = takeFailure(`LIST ${path}`);
+      if (status) return send(res, status, { HttpCode: status, Message: 'Injected failure' });
+      return send(res, 200, listing(path), { 'Content-Type': 'application/json' });
+    }
+
+    if (req.method === 'GET') {
+      const status = takeFailure(`GET ${path}`);
+      if (status) return send(res, status, { HttpCode: status, Message: 'Injected failure' });
+      const f = served;
+      if (!f) return send(res, 404, { HttpCode: 404, Message: 'Object Not Found' });
+      const m = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+      if (!m) return send(res, 200, f.body, { 'Content-Type': 'application/octet-stream' });
+      const start = Number(m[1]);
+      const end = m[2] ? Math.min(Number(m[2]), f.body.length - 1) : f.body.length - 1;
+      return send(res, 206, f.body.subarray(start, end + 1), {
+        'Content-Type': 'application/octet-stream',
+        'Content-Range': `bytes ${start}-${end}/${f.body.length}`
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      put(path, Buffer.concat(chunks));
+      return send(res, 201, { HttpCode: 201, Message: 'File uploaded.' });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!files.has(path)) return send(res, 404, { HttpCode: 404, Message: 'Object Not Found' });
+      remove(path);
+      return send(res, 200, { HttpCode: 200, Message: 'File deleted successfuly.' });
+    }
+
+    return send(res, 405, { HttpCode: 405, Message: 'Method not allowed' });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(e => send(res, 500, { HttpCode: 500, Message: e.message }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const bunny = {
+    url: `http://127.0.0.1:${server.address().port}`,
+    zone,
+    accessKey,
+    latencyMs,
+    files,
+    requests,
+    put,
+    remove,
+    fail,
+    clearFailures,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+  return bunny;
+}
+
+module.exports = { startFakeBunny };
@@ -0,0 +1,634 @@
+const http = require('http');
+const { randomUUID } = require('crypto');
+
+// In-memory stand-in for the Supabase database, served over PostgREST's HTTP
+// protocol so the real supabase-js client — in the test process or in a
+// worker process it spawned — talks to it unchanged. It covers the query
+// features the workers use (filters, or, order, range, count, single,
+// insert/upsert/update/delete with return=representation) and their RPCs.
+// The RPCs are JS ports of db_setup.sql; keep them in step with it.
+// Storage only takes uploads (POST/PUT /storage/v1/object/<bucket>/<key>),
+// kept with their headers for assertions.
+//
+//   const db = await startFakeSupabase();
+//   createClient(db.url, 'any-key')
+//   db.rows('bunny_file_map', { status: 'failed' })   // copies, for assertions
+//   db.update('migration_jobs', { id }, { status: 'paused' })
+//   db.rpc('reclaim_inprogress_to_pending', { minutes_threshold: 0 })
+//   db.objects.get('bucket/dir/file')                 // { body, contentType, cacheControl, metadata }
+
+const now = () => new Date().toISOString();
+
+// key: primary key column (generated when missing); unique: other unique
+// columns; touch: has the set_updated_at trigger; afterUpdate(store, old, row):
+// port of an AFTER UPDATE trigger.
+const TABLES = {
+  migration_jobs: {
+    touch: true,
+    afterUpdate: releaseJobPriority,
+    defaults: () => ({
+      status: 'running', mode: 'full', note: null, run_id: null, scope: null, priority: 0,
+      worker_id: null, host: null, last_heartbeat: null, ended_at: null, created_at: now(), updated_at: now()
+    })
+  },
+  migration_progress: {
+    key: 'job_id',
+    defaults: () => ({
+      total_bytes: 0, total_files: 0, scanned_dirs: 0, migrated_files: 0, failed_files: 0, skipped_files: 0, last_update: now()
+    })
+  },
+  scan_queue: {
+    unique: ['path'],
+    touch: true,
+    defaults: () => ({ parent_path: null, status: 'queued', claimed_at: null, claimed_by: null, created_at: now(), updated_at: now() })
+  },
+  bunny_file_map: {
+    unique: ['path'],
+    touch: true,
+    defaults: () => ({
+      parent_path: null, size: null, mime_type: null, bunny_url: null, status: 'pending', checksum: null,
+      verified_at: null, verify_error: null, last_changed: null, dest_path: null, claimed_at: null, claimed_by: null,
+      upload_url: null, upload_offset: null, upload_updated_at: null, error_category: null, priority: 0, sha256: null, bunny_guid: null,
+      scan_time: now(), created_at: now(), updated_at: now()
+    })
+  },
+  migration_logs: {
+    defaults: () => ({ error_msg: null, attempts: 1, supabase_path: null, upload_time: now(), time_taken: null, bytes: null, error_category: null, sha256: null })
+  },
+  migration_throttle: {
+    key: 'name',
+    defaults: () => ({
+      bytes_per_sec: null, requests_per_sec: null, byte_tokens: 0, request_tokens: 0, refilled_at: now(), backoff_until: null, updated_at: now()
+    })
+  },
+  migration_workers: {
+    key: 'id',
+    defaults: () => ({
+      status: 'running', requested: null, in_flight: 0, current: null, files_ok: 0, files_failed: 0,
+      bytes_total: 0, bytes_per_sec: 0, started_at: now(), last_heartbeat: now()
+    })
+  },
+  control_audit: { defaults: () => ({ created_at: now() }) },
+  migration_runs: {
+    defaults: () => ({
+      params: {}, status: 'running', schedule_id: null, requested_by: null, host: null, pid: null,
+      exit_code: null, error: null, started_at: now(), ended_at: null
+    })
+  },
+  migration_schedules: {
+    touch: true,
+    defaults: () => ({ params: {}, enabled: true, last_run_at: null, last_run_id: null, created_at: now(), updated_at: now() })
+  },
+  file_filters: { unique: ['name'], defaults: () => ({ created_by: null, created_at: now() }) },
+  url_rewrite_log: {
+    serial: true,
+    defaults: () => ({ urls: 0, applied_at: null, reverted_at: null, created_at: now() })
+  }
+};
+
+// PostgREST-style error: HTTP status plus the Postgres / PGRST code.
+function dbError(status, code, message, details = null) {
+  return Object.assign(new Error(message), { status, code, details });
+}
+
+/**
+ * VALUES AND FILTERS
+ */
+
+const TIMESTAMP_RE = /^\d{4}-\d\d-\d\d[T ]\d\d:\d\d/;
+
+// Orders a stored value against a filter value the way Postgres would for
+// the column's type; null when either side is NULL.
+function compare(value, raw) {
+  if (value === null || value === undefined || raw === null || raw === undefined) return null;
+  if (typeof value === 'number') return value - Number(raw);
+  if (typeof value === 'boolean') return String(value) === String(raw) ? 0 : 1;
+  const a = String(value);
+  const b = String(raw);
+  if (TIMESTAMP_RE.test(a) && TIMESTAMP_RE.test(b)) return Date.parse(a) - Date.parse(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// LIKE pattern → RegExp (% and PostgREST's * are any run, _ one char, \ escapes).
+function likeRegExp(pattern, flags = '') {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\' && i + 1 < pattern.length) re += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (c === '%' || c === '*') re += '[\\s\\S]*';
+    else if (c === '_') re += '[\\s\\S]';
+    else re += c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`, flags);
+}
+
+// Splits on commas outside quotes and parentheses.
+function splitTopLevel(s) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let cur = '';
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === '"' && s[i - 1] !== '\\') quoted = !quoted;
+    else if (!quoted && c === '(') depth++;
+    else if (!quoted && c === ')') depth--;
+    if (c === ',' && !quoted && depth === 0) {
+      parts.push(cur);
+      cur = '';
+    } else {
+      cur += c;
+    }
+  }
+  parts.push(cur);
+  return parts;
+}
+
+function unquote(v) {
+  return v.startsWith('"') && v.endsWith('"') ? v.slice(1, -1).replace(/\\(.)/g, '$1') : v;
+}
+
+// "op.value" or "not.op.value" on one column → predicate(row).
+function parseFilter(column, expr) {
+  let negate = false;
+  if (expr.startsWith('not.')) {
+    negate = true;
+    expr = expr.slice(4);
+  }
+  const dot = expr.indexOf('.');
+  const op = expr.slice(0, dot);
+  const raw = op === 'in' ? expr.slice(dot + 1) : unquote(expr.slice(dot + 1));
+
+  let test;
+  switch (op) {
+    case 'eq': test = v => compare(v, raw) === 0; break;
+    case 'neq': test = v => { const c = compare(v, raw); return c !== null && c !== 0; }; break;
+    case 'gt': test = v => compare(v, raw) > 0; break;
+    case 'gte': test = v => compare(v, raw) >= 0; break;
+    case 'lt': test = v => compare(v, raw) < 0; break;
+    case 'lte': test = v => compare(v, raw) <= 0; break;
+    case 'like': { const re = likeRegExp(raw); test = v => v !== null && v !== undefined && re.test(String(v)); break; }
+    case 'ilike': { const re = likeRegExp(raw, 'i'); test = v => v !== null && v !== undefined && re.test(String(v)); break; }
+    case 'is':
+      if (raw === 'null') test = v => v === null || v === undefined;
+      else if (raw === 'true' || raw === 'false') test = v => v === (raw === 'true');
+      else throw dbError(400, 'PGRST100', `Unsupported is value "${raw}"`);
+      break;
+    case 'in': {
+      const values = new Set(splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(unquote));
+      test = v => v !== null && v !== undefined && [...values].some(x => compare(v, x) === 0);
+      break;
+    }
+    default:
+      throw dbError(400, 'PGRST100', `Unsupported filter operator "${op}"`);
+  }
+  return negate ? row => !test(row[column]) : row => test(row[column]);
+}
+
+// or=(a.is.null,b.lt.2024-01-01), with nested and(...) groups
+function parseOr(expr, every = false) {
+  const preds = splitTopLevel(expr.replace(/^\(|\)$/g, '')).map(part => {
+    if (part.startsWith('and(')) return parseOr(part.slice(3), true);
+    if (part.startsWith('or(')) return parseOr(part.slice(2));
+    const dot = part.indexOf('.');
+    return parseFilter(part.slice(0, dot), part.slice(dot + 1));
+  });
+  return every ? row => preds.every(p => p(row)) : row => preds.some(p => p(row));
+}
+
+const RESERVED = new Set(['select', 'order', 'limit', 'offset', 'columns', 'on_conflict']);
+
+function parseQuery(params) {
+  const filters = [];
+  for (const [key, value] of params) {
+    if (RESERVED.has(key)) continue;
+    filters.push(key === 'or' ? parseOr(value) : parseFilter(key, value));
+  }
+  const order = (params.get('order') || '').split(',').filter(Boolean).map(spec => {
+    const [column, dir = 'asc', nulls] = spec.split('.');
+    const desc = dir === 'desc';
+    return { column, desc, nullsFirst: nulls ? nulls === 'nullsfirst' : desc };
+  });
+  const select = (params.get('select') || '*').split(',').map(s => s.trim()).filter(Boolean);
+  return {
+    match: row => filters.every(f => f(row)),
+    order,
+    select,
+    limit: params.has('limit') ? Number(params.get('limit')) : null,
+    offset: Number(params.get('offset') || 0)
+  };
+}
+
+function sortRows(rows, order) {
+  if (!order.length) return rows;
+  return [...rows].sort((a, b) => {
+    for (const { column, desc, nullsFirst } of order) {
+      const av = a[column];
+      const bv = b[column];
+      const aNull = av === null || av === undefined;
+      const bNull = bv === null || bv === undefined;
+      if (aNull || bNull) {
+        if (aNull && bNull) continue;
+        return aNull === nullsFirst ? -1 : 1;
+      }
+      const c = compare(av, bv);
+      if (c) return desc ? -c : c;
+    }
+    return 0;
+  });
+}
+
+function project(row, select) {
+  if (select.includes('*')) return clone(row);
+  return Object.fromEntries(select.map(c => [c, row[c] === undefined ? null : clone(row[c])]));
+}
+
+function clone(v) {
+  return v === undefined ? null : JSON.parse(JSON.stringify(v));
+}
+
+/**
+ * STORE
+ */
+
+function createStore() {
+  const tables = new Map(Object.keys(TABLES).map(name => [name, []]));
+  let serial = 0;
+
+  function table(name) {
+    const rows = tables.get(name);
+    if (!rows) throw dbError(404, '42P01', `relation "public.${name}" does not exist`);
+    return rows;
+  }
+
+  function keyOf(name) {
+    return TABLES[name].key || 'id';
+  }
+
+  function newRow(name, values) {
+    const spec = TABLES[name];
+    const row = { ...spec.defaults(), ...clone(values) };
+    const key = keyOf(name);
+    if (row[key] === undefined || row[key] === null) {
+      if (key !== 'id') throw dbError(400, '23502', `null value in column "${key}" of relation "${name}"`);
+      row.id = spec.serial ? ++serial : randomUUID();
+    }
+    return row;
+  }
+
+  function conflictOn(name, rows, row, columns) {
+    return rows.find(r => r !== row && columns.every(c => r[c] !== null && r[c] !== undefined && compare(r[c], row[c]) === 0));
+  }
+
+  function uniqueSets(name) {
+    return [[keyOf(name)], ...(TABLES[name].unique || []).map(c => [c])];
+  }
+
+  function checkUnique(name, rows, row) {
+    for (const columns of uniqueSets(name)) {
+      if (conflictOn(name, rows, row, columns)) {
+        throw dbError(409, '23505', `duplicate key value violates unique constraint "${name}_${columns.join('_')}_key"`,
+          `Key (${columns.join(', ')})=(${columns.map(c => row[c]).join(', ')}) already exists.`);
+      }
+    }
+  }
+
+  // resolution: null (fail on conflict) | 'merge' | 'ignore'. All-or-nothing.
+  function insert(name, values, { resolution = null, onConflict = null } = {}) {
+    const rows = table(name);
+    const staged = [...rows];
+    const out = [];
+    const conflictColumns = onConflict ? onConflict.split(',') : [keyOf(name)];
+    for (const value of values) {
+      if (resolution) {
+        const probe = { ...value };
+        const existing = conflictOn(name, staged, probe, conflictColumns);
+        if (existing) {
+          if (resolution === 'merge') {
+            const merged = { ...existing, ...clone(value) };
+            if (TABLES[name].touch && !('updated_at' in value)) merged.updated_at = now();
+            staged[staged.indexOf(existing)] = merged;
+            out.push(merged);
+          }
+          continue;
+        }
+      }
+      const row = newRow(name, value);
+      checkUnique(name, staged, row);
+      staged.push(row);
+      out.push(row);
+    }
+    rows.splice(0, rows.length, ...staged);
+    return out;
+  }
+
+  function update(name, match, patch) {
+    const out = [];
+    for (const row of table(name)) {
+      if (!match(row)) continue;
+      const old = { ...row };
+      Object.assign(row, clone(patch));
+      if (TABLES[name].touch && !('updated_at' in patch)) row.updated_at = now();
+      out.push(row);
+      if (TABLES[name].afterUpdate) TABLES[name].afterUpdate(api, old, row);
+    }
+    return out;
+  }
+
+  function remove(name, match) {
+    const rows = table(name);
+    const out = rows.filter(match);
+    tables.set(name, rows.filter(r => !match(r)));
+    return out;
+  }
+
+  const api = { table, insert, update, remove };
+  return api;
+}
+
+/**
+ * RPC (ports of db_setup.sql)
+ */
+
+const ENDED = ['completed', 'failed', 'stopped'];
+
+// public.release_job_priority (trigger on migration_jobs)
+function releaseJobPriority(store, old, job) {
+  if (!(job.priority > 0) || !ENDED.includes(job.status) || ENDED.includes(old.status)) return;
+  const others = store.table('migration_jobs').filter(o =>
+    o.id !== job.id && o.kind === 'migrate' && ['running', 'paused'].includes(o.status) && o.priority > 0);
+  for (const b of store.table('bunny_file_map')) {
+    if (b.is_dir || b.priority !== job.priority) continue;
+    b.priority = Math.max(0, ...others.filter(o => fileInScope(b, o.scope)).map(o => o.priority));
+  }
+}
+
+const minutesAgo = (m) => new Date(Date.now() - m * 60_000).toISOString();
+const before = (ts, limit) => ts !== null && ts !== undefined && Date.parse(ts) < Date.parse(limit);
+
+// public.file_in_scope
+function fileInScope(b, s) {
+  if (!s) return true;
+  if (s.prefix && !b.path.startsWith(s.prefix)) return false;
+  if (s.regex && !new RegExp(s.regex).test(b.path)) return false;
+  if (s.ids && !s.ids.includes(b.id)) return false;
+  const f = s.filter || {};
+  if (f.status && b.status !== f.status) return false;
+  if (f.category && b.error_category !== f.category) return false;
+  if (f.q && !b.path.toLowerCase().includes(String(f.q).toLowerCase())) return false;
+  return true;
+}
+
+function rpcs(store) {
+  function incrementProgress(a) {
+    for (const p of store.table('migration_progress')) {
+      if (p.job_id !== a._job_id) continue;
+      p.total_bytes += Number(a._total_bytes_delta || 0);
+      p.total_files += Number(a._total_files_delta || 0);
+      p.scanned_dirs += Number(a._scanned_dirs_delta || 0);
+      p.migrated_files += Number(a._migrated_files_delta || 0);
+      p.failed_files += Number(a._failed_files_delta || 0);
+      p.skipped_files += Number(a._skipped_files_delta || 0);
+      p.last_update = now();
+    }
+    return null;
+  }
+
+  function claimable(b, scope) {
+    return !b.is_dir && (b.status === 'pending' || (b.status === 'failed' && !!scope?.retry_failed)) && fileInScope(b, scope);
+  }
+
+  return {
+    increment_progress: incrementProgress,
+
+    ingest_listing({ _job_id, _dir_id, _entries, _mark_done = true }) {
+      let files = 0;
+      let bytes = 0;
+      const map = store.table('bunny_file_map');
+      const queue = store.table('scan_queue');
+      for (const e of _entries || []) {
+        if (!map.some(r => r.path === e.path)) {
+          store.insert('bunny_file_map', [{ ...e, status: e.status || 'pending' }]);
+          if (!e.is_dir) {
+            files += 1;
+            bytes += Number(e.size || 0);
+          }
+        }
+        if (e.is_dir && !queue.some(q => q.path === e.path)) {
+          store.insert('scan_queue', [{ path: e.path, parent_path: e.parent_path, status: 'queued' }]);
+        }
+      }
+      incrementProgress({ _job_id, _total_bytes_delta: bytes, _total_files_delta: files, _scanned_dirs_delta: _mark_done ? 1 : 0 });
+      if (_mark_done && _dir_id) store.update('scan_queue', q => q.id === _dir_id, { status: 'done' });
+      return [{ inserted_files: files, inserted_bytes: bytes }];
+    },
+
+    claim_dirs({ _limit, _worker_id, _prefix = null }) {
+      const rows = sortRows(
+        store.table('scan_queue').filter(q => q.status === 'queued' && (!_prefix || q.path.startsWith(_prefix))),
+        [{ column: 'path', desc: false }]
+      ).slice(0, _limit);
+      const ids = new Set(rows.map(q => q.id));
+      store.update('scan_queue', q => ids.has(q.id), { status: 'claimed', claimed_at: now(), claimed_by: _worker_id });
+      return rows.map(q => ({ id: q.id, path: q.path, parent_path: q.parent_path }));
+    },
+
+    reclaim_dirs({ minutes_threshold }) {
+      const limit = minutesAgo(minutes_threshold);
+      return store.update('scan_queue', q => q.status === 'claimed' && before(q.claimed_at, limit),
+        { status: 'queued', claimed_at: null, claimed_by: null }).length;
+    },
+
+    touch_job({ _job_id }) {
+      store.update('migration_jobs', j => j.id === _job_id, { last_heartbeat: now() });
+      return null;
+    },
+
+    reap_stale_jobs({ _kind, minutes_threshold }) {
+      const limit = minutesAgo(minutes_threshold);
+      return store.update('migration_jobs',
+        j => j.kind === _kind && j.status === 'running' && before(j.last_heartbeat || j.created_at, limit),
+        { status: 'failed', ended_at: now() }).length;
+    },
+
+    claim_files_to_migrate({ batch_size, worker_id, _job_id = null }) {
+      const job = store.table('migration_jobs').find(j => j.id === _job_id);
+      const scope = job?.scope || null;
+      const rows = sortRows(
+        store.table('bunny_file_map').filter(b => claimable(b, scope)),
+        [{ column: 'priority', desc: true }, { column: 'path', desc: false }]
+      ).slice(0, batch_size);
+      const ids = new Set(rows.map(b => b.id));
+      return clone(store.update('bunny_file_map', b => ids.has(b.id), { status: 'in_progress', claimed_at: now(), claimed_by: worker_id }));
+    },
+
+    prioritize_job_files({ _job_id }) {
+      const job = store.table('migration_jobs').find(j => j.id === _job_id);
+      if (!job || !(job.priority > 0)) return 0;
+      return store.update('bunny_file_map', b => claimable(b, job.scope) && b.priority < job.priority, { priority: job.priority }).length;
+    },
+
+    reclaim_inprogress_to_pending({ minutes_threshold }) {
+      const limit = minutesAgo(minutes_threshold);
+      return store.update('bunny_file_map', b => b.status === 'in_progress' && before(b.claimed_at, limit),
+        { status: 'pending', claimed_at: null, claimed_by: null }).length;
+    },
+
+    release_worker_claims({ _worker_id }) {
+      const files = store.update('bunny_file_map', b => b.claimed_by === _worker_id && b.status === 'in_progress',
+        { status: 'pending', claimed_at: null, claimed_by: null }).length;
+      const dirs = store.update('scan_queue', q => q.claimed_by === _worker_id && q.status === 'claimed',
+        { status: 'queued', claimed_at: null, claimed_by: null }).length;
+      return files + dirs;
+    },
+
+    worker_claims() {
+      const by = new Map();
+      const entry = (id) => by.get(id) || by.set(id, { worker_id: id, files: 0, dirs: 0 }).get(id);
+      for (const b of store.table('bunny_file_map')) if (b.status === 'in_progress' && b.claimed_by) entry(b.claimed_by).files += 1;
+      for (const q of store.table('scan_queue')) if (q.status === 'claimed' && q.claimed_by) entry(q.claimed_by).dirs += 1;
+      return [...by.values()];
+    }
+  };
+}
+
+/**
+ * HTTP
+ */
+
+function parsePrefer(header = '') {
+  const prefer = {};
+  for (const part of header.split(',')) {
+    const [k, v] = part.trim().split('=');
+    if (k) prefer[k] = v;
+  }
+  return prefer;
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString('utf8');
+  return text ? JSON.parse(text) : null;
+}
+
+function respond(res, status, body, headers = {}) {
+  if (body === undefined) {
+    res.writeHead(status, headers);
+    return res.end();
+  }
+  const text = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text), ...headers });
+  res.end(text);
+}
+
+async function storeObject(objects, req, res, key) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const upsert = req.headers['x-upsert'] === 'true';
+  if (objects.has(key) && !upsert) {
+    return respond(res, 400, { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' });
+  }
+  const metadata = req.headers['x-metadata'];
+  objects.set(key, {
+    body: Buffer.concat(chunks),
+    contentType: req.headers['content-type'] || null,
+    cacheControl: req.headers['cache-control'] || null,
+    metadata: metadata ? JSON.parse(Buffer.from(metadata, 'base64').toString('utf8')) : null
+  });
+  return respond(res, 200, { Id: randomUUID(), Key: key });
+}
+
+function createHandler(store, functions, objects) {
+  // Rows → response, honouring return=representation, select, single and count.
+  function send(req, res, status, rows, { query, prefer, total = rows.length, offset = 0 }) {
+    const wantsObject = (req.headers.accept || '').includes('application/vnd.pgrst.object+json');
+    const headers = {};
+    if (prefer.count) headers['Content-Range'] = rows.length ? `${offset}-${offset + rows.length - 1}/${total}` : `*/${total}`;
+    if (req.method !== 'GET' && req.method !== 'HEAD' && prefer.return !== 'representation') {
+      return respond(res, status === 201 ? 201 : 204, undefined, headers);
+    }
+    const body = rows.map(r => project(r, query.select));
+    if (wantsObject) {
+      if (body.length !== 1) {
+        throw dbError(406, 'PGRST116', 'JSON object requested, multiple (or no) rows returned', `The result contains ${body.length} rows`);
+      }
+      return respond(res, status, body[0], headers);
+    }
+    if (req.method === 'HEAD') return respond(res, status, undefined, headers);
+    return respond(res, status, body, headers);
+  }
+
+  return async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const obj = /^\/storage\/v1\/object\/(.+)$/.exec(url.pathname);
+    if (obj && (req.method === 'POST' || req.method === 'PUT')) return storeObject(objects, req, res, decodeURIComponent(obj[1]));
+    const m = /^\/rest\/v1\/(rpc\/)?([\w]+)$/.exec(url.pathname);
+    if (!m) throw dbError(404, 'PGRST000', `Unknown path ${url.pathname}`);
+    const prefer = parsePrefer(req.headers.prefer);
+    const query = parseQuery(url.searchParams);
+    const body = await readBody(req);
+
+    if (m[1]) {
+      const fn = functions[m[2]];
+      if (!fn) throw dbError(404, 'PGRST202', `Could not find the function public.${m[2]} in the schema cache`);
+      const out = fn(body || {});
+      if (out === null || out === undefined) return respond(res, 200, null);
+      return respond(res, 200, clone(out));
+    }
+
+    const name = m[2];
+    switch (req.method) {
+      case 'GET':
+      case 'HEAD': {
+        const all = sortRows(store.table(name).filter(query.match), query.order);
+        const rows = all.slice(query.offset, query.limit === null ? undefined : query.offset + query.limit);
+        return send(req, res, 200, rows, { query, prefer, total: all.length, offset: query.offset });
+      }
+      case 'POST': {
+        const values = Array.isArray(body) ? body : [body];
+        const resolution = prefer.resolution ? prefer.resolution.replace(/-duplicates$/, '') : null;
+        const rows = store.insert(name, values, { resolution, onConflict: url.searchParams.get('on_conflict') });
+        return send(req, res, 201, rows, { query, prefer });
+      }
+      case 'PATCH':
+        return send(req, res, 200, store.update(name, query.match, body || {}), { query, prefer });
+      case 'DELETE':
+        return send(req, res, 200, store.remove(name, query.match), { query, prefer });
+      default:
+        throw dbError(405, 'PGRST000', `Method ${req.method} not allowed`);
+    }
+  };
+}
+
+async function startFakeSupabase() {
+  const store = createStore();
+  const functions = rpcs(store);
+  const objects = new Map();
+  const handle = createHandler(store, functions, objects);
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(e => {
+      const status = e.status || 500;
+      respond(res, status, { code: e.code || 'XX000', message: e.message, details: e.details || null, hint: null });
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const matcher = (match = {}) => (row) => Object.entries(match).every(([k, v]) => row[k] === v);
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    rows: (table, match) => clone(store.table(table).filter(matcher(match))),
+    insert: (table, values) => clone(store.insert(table, Array.isArray(values) ? values : [values])),
+    update: (table, match, patch) => store.update(table, matcher(match), patch).length,
+    rpc: (name, args = {}) => clone(functions[name](args)),
+    objects,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
+
+module.exports = { startFakeSupabase, fileInScope };
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { startFakeBunny } = require('./fake-bunny');
+const { startFakeSupabase } = require('./fake-supabase');
+
+// One offline environment per test: fake Bunny source, fake Supabase
+// database, a local directory as destination, and the worker scripts run as
+// real child processes against them (so signals, crashes and restarts are
+// the real thing). Workers run in a scratch cwd, so the repo's .env is not
+// picked up; everything they need is passed explicitly.
+//
+//   const h = await createHarness();
+//   h.bunny.put('/a.txt', 'hello');
+//   await h.run('discover');                          // resolves on exit
+//   const w = h.start('migrate', { env: { BATCH_SIZE: '2' } });
+//   await h.waitFor(() => h.db.rows('bunny_file_map', { status: 'migrated' }).length > 0);
+//   w.kill('SIGKILL'); await w.exited;
+//   await h.close();
+
+const ROOT = path.resolve(__dirname, '../..');
+const SCRIPTS = { discover: 'discover-files.js', migrate: 'migrate-files.js', verify: 'verify-files.js' };
+const RUN_TIMEOUT_MS = 30_000;
+
+async function createHarness({ env: baseEnv = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrator-test-'));
+  const destRoot = path.join(dir, 'dest');
+  fs.mkdirSync(destRoot);
+  const bunny = await startFakeBunny();
+  const db = await startFakeSupabase();
+  const children = new Set();
+
+  const env = {
+    PATH: process.env.PATH,
+    SUPABASE_URL: db.url,
+    SUPABASE_KEY: 'test-service-key',
+    BUNNY_REGION_BASE: bunny.url,
+    BUNNY_STORAGE_ZONE: bunny.zone,
+    BUNNY_API_KEY: bunny.accessKey,
+    SOURCE_ADAPTER: 'bunny',
+    DEST_ADAPTER: 'local',
+    DEST_LOCAL_ROOT: destRoot,
+    LOG_FILE: path.join(dir, 'migration.log'),
+    LOG_FORMAT: 'json',
+    PLAN_DIR: path.join(dir, 'plans'),
+    TEMP_DIR: path.join(dir, 'tmp'),
+    CONCURRENCY: '2',
+    BATCH_SIZE: '50',
+    DISCOVER_CONCURRENCY: '2',
+    WORKER_HEARTBEAT_MS: '500',
+    ...baseEnv
+  };
+
+  // Starts a worker; `exited` resolves with { code, signal, output } and
+  // rejects when it outlives timeoutMs (the process is killed then).
+  function start(kind, { args = [], env: extra = {}, timeoutMs = RUN_TIMEOUT_MS } = {}) {
+    const child = spawn(process.execPath, [path.join(ROOT, SCRIPTS[kind]), ...args], {
+      cwd: dir,
+      env: { ...env, ...extra },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    children.add(child);
+    let output = '';
+    child.stdout.on('data', d => { output += d; });
+    child.stderr.on('data', d => { output += d; });
+
+    child.exited = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${kind} did not exit within ${timeoutMs} ms\n${output}`));
+      }, timeoutMs);
+      child.once('exit', (code, signal) => {
+        clearTimeout(timer);
+        children.delete(child);
+        resolve({ code, signal, output });
+      });
+    });
+    child.output = () => output;
+    return child;
+  }
+
+  // Runs a worker to completion and fails unless it exits with code 0.
+  async function run(kind, opts) {
+    const result = await start(kind, opts).exited;
+    if (result.code !== 0) throw new Error(`${kind} exited with ${result.code ?? result.signal}\n${result.output}`);
+    return result;
+  }
+
+  async function waitFor(predicate, { timeoutMs = 15_000, intervalMs = 50, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      if (await predicate()) return;
+      await new Promise(r => setTimeout(r, intervalMs));
+    }
+    throw new Error(`Timed out waiting for ${message}`);
+  }
+
+  function readDest(key) {
+    return fs.readFileSync(path.join(destRoot, key));
+  }
+
+  function writeDest(key, body) {
+    fs.mkdirSync(path.dirname(path.join(destRoot, key)), { recursive: true });
+    fs.writeFileSync(path.join(destRoot, key), body);
+  }
+
+  function files(match) {
+    return db.rows('bunny_file_map', { is_dir: false, ...match });
+  }
+
+  async function close() {
+    for (const child of children) child.kill('SIGKILL');
+    await Promise.allSettled([...children].map(c => c.exited));
+    await Promise.all([bunny.close(), db.close()]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { dir, destRoot, env, bunny, db, start, run, waitFor, readDest, writeDest, files, close };
+}
+
+module.exports = { createHarness };
@@ -0,0 +1,290 @@
+// verify-files.js
+require('dotenv').config();
+const os = require('os');
+const pLimit = require('p-limit');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('./lib/clients');
+const { getSource, getDest } = require('./lib/adapters');
+const { sha256Stream, sameDigest } = require('./lib/hash');
+const { log, logger, setLogContext } = require('./lib/log');
+const { sleep, toStoragePath, likePrefix } = require('./lib/util');
+const { jobScope, describeScope } = require('./lib/scope');
+const { notifyJobStatus } = require('./lib/notify');
+const {
+  CONCURRENCY,
+  VERIFY_BATCH_SIZE,
+  VERIFY_CHECKSUMS,
+  RUN_ID
+} = require('./config');
+
+/**
+ * CONFIG
+ */
+const HEARTBEAT_MS = 15_000;
+const WORKER_ID = uuidv4();
+setLogContext({ kind: 'verify', worker_id: WORKER_ID });
+const limit = pLimit(CONCURRENCY);
+
+let HEARTBEAT_TIMER = null;
+let CURRENT_JOB = null;
+let SCOPE = null;
+
+/**
+ * HELPERS
+ */
+
+async function createJob(note = '') {
+  const { data, error } = await supabase
+    .from('migration_jobs')
+    .insert({
+      kind: 'verify',
+      note,
+      run_id: RUN_ID,
+      scope: SCOPE,
+      worker_id: WORKER_ID,
+      host: os.hostname(),
+      status: 'running',
+      last_heartbeat: new Date().toISOString()
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  const { error: pErr } = await supabase
+    .from('migration_progress')
+    .insert({ job_id: data.id });
+  if (pErr && !(pErr.code === '23505' || /duplicate|unique/i.test(pErr.message))) {
+    throw pErr;
+  }
+
+  await notifyJobStatus(data, 'started');
+  return data;
+}
+
+async function getJob(jobId) {
+  const { data, error } = await supabase
+    .from('migration_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Only the update that ends the job notifies; a job that already ended
+// (stopped from the dashboard, say) keeps its status.
+async function markJob(status) {
+  if (!CURRENT_JOB) return;
+  const { data, error } = await supabase
+    .from('migration_jobs')
+    .update({ status, ended_at: new Date().toISOString() })
+    .eq('id', CURRENT_JOB.id)
+    .in('status', ['running', 'paused'])
+    .select('id');
+  if (error) {
+    logger.warn('markJob error', { err: error.message });
+    return;
+  }
+  if (data && data.length) await notifyJobStatus(CURRENT_JOB, status);
+}
+
+async function heartbeat() {
+  if (!CURRENT_JOB) return;
+  const { error } = await supabase.rpc('touch_job', { _job_id: CURRENT_JOB.id });
+  if (error) {
+    logger.warn('heartbeat error', { err: error.message });
+  }
+}
+
+function startHeartbeat() {
+  if (HEARTBEAT_TIMER) clearInterval(HEARTBEAT_TIMER);
+  HEARTBEAT_TIMER = setInterval(heartbeat, HEARTBEAT_MS);
+}
+
+function stopHeartbeat() {
+  if (HEARTBEAT_TIMER) clearInterval(HEARTBEAT_TIMER);
+  HEARTBEAT_TIMER = null;
+}
+
+// Keyset pagination by path: rows we flip to verify_failed drop out of the
+// filter without shifting the pages we have not read yet.
+async function fetchMigratedPage(afterPath, size) {
+  let q = supabase
+    .from('bunny_file_map')
+    .select('id,path,dest_path,parent_path,size,checksum')
+    .eq('is_dir', false)
+    .in('status', ['migrated', 'skipped'])
+    .order('path', { ascending: true })
+    .limit(size);
+  if (afterPath !== null) q = q.gt('path', afterPath);
+  if (SCOPE?.prefix) q = q.like('path', likePrefix(SCOPE.prefix));
+  if (SCOPE?.ids) q = q.in('id', SCOPE.ids);
+  const { data, error } = await q;
+  if (error) throw error;
+  return data || [];
+}
+
+// Rows discovered before checksums were stored have none; fall back to the
+// parent's source listing, cached per directory for the current page.
+async function sourceChecksum(file, listingCache) {
+  if (file.checksum) return file.checksum;
+  if (!file.parent_path) return null;
+
+  if (!listingCache.has(file.parent_path)) {
+    listingCache.set(file.parent_path, getSource().list(file.parent_path).then(items => {
+      const byPath = new Map();
+      for (const item of items) {
+        if (!item.isDir) byPath.set(item.path, item.checksum);
+      }
+      return byPath;
+    }));
+  }
+  const byPath = await listingCache.get(file.parent_path);
+  return byPath.get(file.path) || null;
+}
+
+async function sha256Object(destPath) {
+  const { stream } = await getDest().createReadStream(destPath);
+  return sha256Stream(stream);
+}
+
+// Returns null when the object matches, otherwise the mismatch reason.
+async function checkFile(file, listingCache) {
+  const destPath = file.dest_path || toStoragePath(file.path);
+  const obj = await getDest().stat(destPath);
+  if (!obj) return `missing at destination: ${destPath}`;
+
+  const expectedSize = Number(file.size || 0);
+  const actualSize = Number(obj.size ?? -1);
+  if (actualSize !== expectedSize) {
+    return `size mismatch: source=${expectedSize} dest=${actualSize}`;
+  }
+
+  if (VERIFY_CHECKSUMS) {
+    const expected = await sourceChecksum(file, listingCache);
+    if (expected) {
+      const actual = await sha256Object(destPath);
+      if (!sameDigest(actual, expected)) {
+        return `checksum mismatch: source=${expected.toLowerCase()} dest=${actual}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+async function markVerified(id) {
+  const { error } = await supabase
+    .from('bunny_file_map')
+    .update({ verified_at: new Date().toISOString(), verify_error: null })
+    .eq('id', id);
+  if (error) throw error;
+}
+
+async function markVerifyFailed(id, reason) {
+  const { error } = await supabase
+    .from('bunny_file_map')
+    .update({ status: 'verify_failed', verify_error: reason, verified_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) throw error;
+}
+
+// Verify jobs reuse the progress counters: migrated_files = verified OK,
+// failed_files = mismatches, total_files = rows checked.
+async function bumpProgress(jobId, { ok = 0, failed = 0 }) {
+  const { error } = await supabase.rpc('increment_progress', {
+    _job_id: jobId,
+    _total_bytes_delta: 0,
+    _total_files_delta: ok + failed,
+    _scanned_dirs_delta: 0,
+    _migrated_files_delta: ok,
+    _failed_files_delta: failed
+  });
+  if (error) throw error;
+}
+
+async function verifyOne(job, file, listingCache) {
+  let reason;
+  try {
+    reason = await checkFile(file, listingCache);
+  } catch (e) {
+    // Transient API errors leave the row as migrated for the next pass.
+    logger.error('Verify failed', { file_id: file.id, path: file.path, err: e.message });
+    return;
+  }
+
+  if (reason) {
+    await markVerifyFailed(file.id, reason);
+    await bumpProgress(job.id, { failed: 1 });
+    logger.warn('MISMATCH', { file_id: file.id, path: file.path, reason });
+  } else {
+    await markVerified(file.id);
+    await bumpProgress(job.id, { ok: 1 });
+  }
+}
+
+/**
+ * PROCESS SIGNALS
+ */
+function hookProcessSignals() {
+  process.on('SIGINT', async () => {
+    log('SIGINT received');
+    stopHeartbeat();
+    await markJob('stopped');
+    process.exit(0);
+  });
+  process.on('SIGTERM', async () => {
+    log('SIGTERM received');
+    stopHeartbeat();
+    await markJob('stopped');
+    process.exit(0);
+  });
+}
+
+/**
+ * MAIN
+ */
+async function run() {
+  hookProcessSignals();
+  ({ scope: SCOPE } = await jobScope('verify'));
+  const globRe = SCOPE?.regex ? new RegExp(SCOPE.regex) : null;
+  CURRENT_JOB = await createJob(SCOPE ? `Post-migration verification (${describeScope(SCOPE)})` : 'Post-migration verification');
+  setLogContext({ job_id: CURRENT_JOB.id });
+  startHeartbeat();
+  log(`VERIFY job=${CURRENT_JOB.id} worker=${WORKER_ID} scope=${describeScope(SCOPE)} started`);
+
+  let afterPath = null;
+  while (true) {
+    await heartbeat();
+
+    const fresh = await getJob(CURRENT_JOB.id);
+    if (fresh.status === 'paused') { log('Paused…'); await sleep(2000); continue; }
+    if (['stopped', 'failed', 'completed'].includes(fresh.status)) {
+      log(`Job is ${fresh.status}. Exit.`);
+      break;
+    }
+
+    const page = await fetchMigratedPage(afterPath, VERIFY_BATCH_SIZE);
+    if (page.length === 0) {
+      log('No more migrated or skipped files to verify. Marking job completed.');
+      await markJob('completed');
+      break;
+    }
+
+    const listingCache = new Map();
+    // The glob is matched here; paging still moves past the whole page.
+    const files = globRe ? page.filter(f => globRe.test(f.path)) : page;
+    await Promise.all(files.map(f => limit(() => verifyOne(CURRENT_JOB, f, listingCache))));
+    afterPath = page[page.length - 1].path;
+    log(`Verified through ${afterPath}`);
+  }
+
+  stopHeartbeat();
+}
+
+run().catch(async (e) => {
+  logger.error('Fatal', { err: e });
+  stopHeartbeat();
+  await markJob('failed');
+  process.exit(1);
+});